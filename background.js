@@ -1,15 +1,38 @@
-const APP_BASE_URL = "https://sideby.me";
-
 // Sideby Pass - Background Script
 // Handles video detection via webRequest API, message handling from content scripts & M3U8 playlist fetching/parsing
 
+importScripts("config.js", "m3u8.js", "mpd.js", "rooms.js");
+
 // Store detected video URLs per tab
 const videosByTab = new Map();
 
+// Request headers seen for media requests, per tab
+// (url -> { headers, authorization })
+const capturedHeaders = new Map();
+
+// Recent manifest refetches ("tabId url" -> time)
+const manifestFetches = new Map();
+
 // Config
 const MIN_VIDEO_SIZE_BYTES = 500_000;
+// Sources at or above this priority come from a site parser that knows the
+// page, either its network hook (100) or page JSON (the "-json" sources, 95)
+const SITE_PARSER_PRIORITY = 95;
 const MAX_RESULTS = 5;
 const ENTRY_TTL_MS = 10 * 60 * 1000;
+const MAX_ENTRIES_PER_TAB = 50;
+const PERSIST_DELAY_MS = 250;
+const STORAGE_KEY_PREFIX = "videos:";
+const NOTIFY_DELAY_MS = 100;
+const MAX_CAPTURED_HEADERS_PER_TAB = 100;
+const MANIFEST_REFETCH_MS = 30_000;
+const PROBE_TIMEOUT_MS = 8000;
+const MAX_CONCURRENT_PROBES = 2;
+const AD_MAX_DURATION_SECONDS = 31;
+const BADGE_REFRESH_ALARM = "sideby-badge-refresh";
+const BADGE_HIGH_PRIORITY = 95;
+const BADGE_COLOR_HIGH = "#16a34a";
+const BADGE_COLOR_DEFAULT = "#0569c7";
 
 // HLS Content Types
 const HLS_CONTENT_TYPES = [
@@ -21,11 +44,14 @@ const HLS_CONTENT_TYPES = [
   "application/vnd.apple.mpegurl.audio",
 ];
 
+// DASH Content Types
+const DASH_CONTENT_TYPES = ["application/dash+xml"];
+
 // Patterns for video detection
-const VIDEO_EXTENSIONS = /\.(mp4|m4v|mov|m3u8)(\?|#|$)/i;
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mov|m3u8|mpd)(\?|#|$)/i;
 const SEGMENT_EXTENSIONS = /\.(ts|m4s|m4a)(\?|#|$)/i;
 const VIDEO_CONTENT_TYPES =
-  /^(video\/|application\/(vnd\.apple\.mpegurl|x-mpegurl))/i;
+  /^(video\/|application\/(vnd\.apple\.mpegurl|x-mpegurl|dash\+xml))/i;
 
 // Patterns to identify segments (should be filtered out)
 const SEGMENT_PATTERNS = [
@@ -45,19 +71,59 @@ const AUDIO_ONLY_PATTERNS = [
   /\.aac(\?|#|$)/i,
 ];
 
+// Ad servers & ad CDNs (IMA/VAST prerolls)
+const AD_HOST_PATTERNS = [
+  /(^|\.)doubleclick\.net$/i,
+  /(^|\.)2mdn\.net$/i,
+  /(^|\.)googlesyndication\.com$/i,
+  /(^|\.)googleadservices\.com$/i,
+  /(^|\.)imasdk\.googleapis\.com$/i,
+  /(^|\.)amazon-adsystem\.com$/i,
+  /(^|\.)fwmrm\.net$/i,
+  /(^|\.)spotx(change\.com|\.tv)$/i,
+  /(^|\.)springserve\.com$/i,
+  /(^|\.)tremorhub\.com$/i,
+  /(^|\.)innovid\.com$/i,
+  /(^|\.)teads\.tv$/i,
+  /(^|\.)adnxs\.com$/i,
+  /(^|\.)serving-sys\.com$/i,
+  /(^|\.)flashtalking\.com$/i,
+  /(^|\.)adsrvr\.org$/i,
+];
+
+// Ad creatives on otherwise ordinary CDNs
+const AD_PATH_PATTERNS = [
+  /[_\-/](preroll|midroll|postroll)[_\-/.]/i,
+  /\/vast\//i,
+  /\/ads?\//i,
+];
+
 // Source priority scores (higher = more relevant)
 const SOURCE_PRIORITY = {
   instagram: 100,
   twitter: 100,
   vimeo: 100,
   tiktok: 100,
+  reddit: 100,
+  twitch: 100,
+  dailymotion: 100,
+  streamable: 100,
+  kick: 100,
+  facebook: 100,
+  bluesky: 100,
+  mastodon: 100,
+  peertube: 100,
   "instagram-json": 95,
+  "facebook-json": 95,
   api: 90,
   hls: 85,
+  dash: 85,
   "og:video": 80,
   "dom-playing": 75,
+  mse: 75,
   dom: 50,
   webRequest: 40,
+  vast: 10,
 };
 
 // URL utilities
@@ -69,14 +135,152 @@ function cleanByteRangeUrl(url) {
     .replace(/\?$/g, "");
 }
 
-// Video filtering
-function isPlayableVideo(url, contentType, size, source) {
-  const lower = url.toLowerCase();
+// Signed URL expiry
+// Returns when a signed CDN URL stops working (ms since epoch), or null:
+// Instagram/Facebook oe= (hex seconds), CloudFront Expires=, Google/TikTok
+// expire= & x-expires= (seconds), S3 X-Amz-Date + X-Amz-Expires
+function getUrlExpiry(url) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (e) {
+    return null;
+  }
 
-  // Always allow site-specific sources
-  if (source && SOURCE_PRIORITY[source] >= 75) {
-    return true;
+  const get = (name) => {
+    for (const [key, value] of params) {
+      if (key.toLowerCase() === name) return value;
+    }
+    return null;
+  };
+
+  let seconds = null;
+  const oe = get("oe");
+  const expires = get("expires") || get("expire") || get("x-expires");
+  const amzDate = get("x-amz-date");
+  const amzExpires = get("x-amz-expires");
+
+  if (oe && /^[0-9a-f]{8}$/i.test(oe)) {
+    seconds = parseInt(oe, 16);
+  } else if (expires && /^\d{9,11}$/.test(expires)) {
+    seconds = parseInt(expires, 10);
+  } else if (amzDate && amzExpires) {
+    // 20240131T120000Z
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(
+      amzDate
+    );
+    if (match) {
+      const [, y, mo, d, h, mi, s] = match.map(Number);
+      seconds = Date.UTC(y, mo - 1, d, h, mi, s) / 1000 + Number(amzExpires);
+    }
+  }
+
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+// Request headers
+// Hotlink-protected CDNs check these, so the proxy has to replay them. Cookies
+// & Authorization are deliberately left out: room links are shared with other
+// people. Authorization is only kept in memory for the worker's own fetches.
+const FORWARDED_HEADERS = ["referer", "origin", "user-agent"];
+
+// Splits the headers param watcher.js embeds off the URL
+function splitHeadersParam(url) {
+  if (!url.includes("headers=")) return { url, headers: null };
+  try {
+    const parsed = new URL(url);
+    const headers = JSON.parse(parsed.searchParams.get("headers"));
+    parsed.searchParams.delete("headers");
+    return { url: parsed.toString(), headers };
+  } catch (e) {
+    return { url, headers: null };
+  }
+}
+
+// Same format as watcher.js: ?headers={"referer":"...","origin":"..."}
+function embedHeaders(url, headers) {
+  if (!headers || !Object.keys(headers).length) return url;
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.set("headers", JSON.stringify(headers));
+    return parsed.toString();
+  } catch (e) {
+    return url;
   }
+}
+
+function pageHeaders(pageUrl) {
+  if (!pageUrl?.startsWith("http")) return null;
+  try {
+    return { referer: pageUrl, origin: new URL(pageUrl).origin };
+  } catch (e) {
+    return null;
+  }
+}
+
+function pickForwardedHeaders(requestHeaders = []) {
+  const headers = {};
+  for (const { name, value } of requestHeaders) {
+    const key = name.toLowerCase();
+    if (FORWARDED_HEADERS.includes(key) && value) headers[key] = value;
+  }
+  return Object.keys(headers).length ? headers : null;
+}
+
+function pickAuthorization(requestHeaders = []) {
+  const header = requestHeaders.find(
+    ({ name }) => name.toLowerCase() === "authorization"
+  );
+  return header?.value || null;
+}
+
+function getCapturedAuthorization(tabId, url) {
+  return capturedHeaders.get(tabId)?.get(url)?.authorization || null;
+}
+
+// Oldest first, so the first key is the one to drop
+function rememberHeaders(tabId, url, headers, authorization) {
+  if (!capturedHeaders.has(tabId)) capturedHeaders.set(tabId, new Map());
+  const tabHeaders = capturedHeaders.get(tabId);
+  tabHeaders.delete(url);
+  tabHeaders.set(url, { headers, authorization });
+  if (tabHeaders.size > MAX_CAPTURED_HEADERS_PER_TAB) {
+    tabHeaders.delete(tabHeaders.keys().next().value);
+  }
+
+  // The player may request a URL after a parser already reported it
+  const existing = videosByTab.get(tabId)?.get(url);
+  if (existing && headers) {
+    existing.headers = { ...existing.headers, ...headers };
+    schedulePersist(tabId);
+    scheduleNotify(tabId);
+  }
+}
+
+// Key systems the popup names; anything else from a page is just "DRM"
+const DRM_NAMES = ["Widevine", "PlayReady", "FairPlay", "ClearKey"];
+
+function drmName(drm) {
+  if (!drm) return null;
+  return DRM_NAMES.includes(drm) ? drm : "DRM";
+}
+
+// Ad detection
+function isAdUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return (
+      AD_HOST_PATTERNS.some((pattern) => pattern.test(hostname)) ||
+      AD_PATH_PATTERNS.some((pattern) => pattern.test(pathname))
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Video filtering
+function isPlayableVideo(url, contentType, size, source, ad, playlist) {
+  const lower = url.toLowerCase();
 
   // Allow YouTube URLs (played directly)
   if (
@@ -87,6 +291,29 @@ function isPlayableVideo(url, contentType, size, source) {
     return true;
   }
 
+  // Probed & turned out to be a web page (e.g. an og:video player embed)
+  if (contentType && /^text\/html/i.test(contentType)) return false;
+
+  // VAST creatives only count once the page actually plays them
+  if (source === "vast") return false;
+
+  // A known (often probed) size rules out thumbnails & stubs before the
+  // shortcut below; site parsers vouch for their short clips & manifests are
+  // small by nature
+  if (
+    size &&
+    size < MIN_VIDEO_SIZE_BYTES &&
+    !playlist &&
+    !(SOURCE_PRIORITY[source] >= SITE_PARSER_PRIORITY)
+  ) {
+    return false;
+  }
+
+  // Always allow site-specific sources (an ad playing in the page isn't one)
+  if (source && SOURCE_PRIORITY[source] >= 75 && !ad) {
+    return true;
+  }
+
   // Filter out webm
   if (/\.webm(\?|#|$)/i.test(lower)) return false;
 
@@ -124,7 +351,7 @@ function isPlayableVideo(url, contentType, size, source) {
 }
 
 // Video scoring
-function scoreVideo(url, size, source, quality) {
+function scoreVideo(url, size, source, quality, duration, ad) {
   let score = 10;
   const lower = url.toLowerCase();
 
@@ -135,7 +362,7 @@ function scoreVideo(url, size, source, quality) {
 
   // Extension boost
   if (/\.mp4(\?|#|$)/i.test(lower)) score += 20;
-  else if (/\.m3u8(\?|#|$)/i.test(lower)) score += 15;
+  else if (/\.(m3u8|mpd)(\?|#|$)/i.test(lower)) score += 15;
 
   // Size boost
   if (size) {
@@ -156,9 +383,250 @@ function scoreVideo(url, size, source, quality) {
   if (/1080|1920|hd|high/i.test(lower)) score += 5;
   if (/720/i.test(lower)) score += 3;
 
+  // Ads sink below everything; short clips are likely prerolls too, unless a
+  // site parser (TikTok, Instagram...) vouches for them
+  if (ad) score -= 200;
+  if (
+    duration &&
+    duration <= AD_MAX_DURATION_SECONDS &&
+    (SOURCE_PRIORITY[source] || 0) < 100
+  ) {
+    score -= 30;
+  }
+
   return score;
 }
 
+// Session persistence
+// MV3 service workers are evicted after ~30s idle, so detections are mirrored
+// to chrome.storage.session and rehydrated when the worker starts again
+const pendingPersist = new Set();
+// Tabs cleared or closed before rehydration finished must not be restored
+const discardedTabs = new Set();
+let isHydrated = false;
+let persistTimer = null;
+
+function storageKey(tabId) {
+  return `${STORAGE_KEY_PREFIX}${tabId}`;
+}
+
+function schedulePersist(tabId) {
+  pendingPersist.add(tabId);
+  if (persistTimer) return;
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    // Never write before rehydration, or a partial map would overwrite storage
+    hydrated.then(flushPersist);
+  }, PERSIST_DELAY_MS);
+}
+
+async function flushPersist() {
+  const tabIds = [...pendingPersist];
+  pendingPersist.clear();
+
+  const toSet = {};
+  const toRemove = [];
+
+  for (const tabId of tabIds) {
+    const tabVideos = videosByTab.get(tabId);
+    if (!tabVideos || !tabVideos.size) {
+      toRemove.push(storageKey(tabId));
+    } else {
+      toSet[storageKey(tabId)] = Object.fromEntries(tabVideos);
+    }
+  }
+
+  try {
+    if (Object.keys(toSet).length) await chrome.storage.session.set(toSet);
+    if (toRemove.length) await chrome.storage.session.remove(toRemove);
+  } catch (e) {
+    console.warn("Failed to persist detections", e);
+  }
+}
+
+async function rehydrate() {
+  try {
+    const stored = await chrome.storage.session.get(null);
+    const openTabs = await chrome.tabs.query({});
+    const openTabIds = new Set(openTabs.map((tab) => tab.id));
+    const now = Date.now();
+
+    for (const [key, entries] of Object.entries(stored)) {
+      if (!key.startsWith(STORAGE_KEY_PREFIX)) continue;
+
+      const tabId = Number(key.slice(STORAGE_KEY_PREFIX.length));
+      if (!tabId || !entries || discardedTabs.has(tabId)) continue;
+
+      // Tab closed while the worker was asleep
+      if (!openTabIds.has(tabId)) {
+        schedulePersist(tabId);
+        continue;
+      }
+
+      if (!videosByTab.has(tabId)) {
+        videosByTab.set(tabId, new Map());
+      }
+      const tabVideos = videosByTab.get(tabId);
+
+      for (const [url, info] of Object.entries(entries)) {
+        // Detections made since startup are fresher than stored ones
+        if (now - info.timestamp > ENTRY_TTL_MS || tabVideos.has(url)) continue;
+        tabVideos.set(url, info);
+      }
+
+      evictOldest(tabVideos);
+      schedulePersist(tabId);
+    }
+  } catch (e) {
+    console.warn("Failed to rehydrate detections", e);
+  }
+  isHydrated = true;
+  discardedTabs.clear();
+}
+
+function discardTab(tabId) {
+  videosByTab.delete(tabId);
+  probedUrls.delete(tabId);
+  if (!isHydrated) discardedTabs.add(tabId);
+  schedulePersist(tabId);
+  notifyCleared(tabId);
+  scheduleNotify(tabId);
+}
+
+// Drop the oldest entries once a tab exceeds its cap
+function evictOldest(tabVideos) {
+  if (tabVideos.size <= MAX_ENTRIES_PER_TAB) return;
+
+  const byAge = [...tabVideos.entries()].sort(
+    (a, b) => a[1].timestamp - b[1].timestamp
+  );
+  for (const [url] of byAge.slice(0, tabVideos.size - MAX_ENTRIES_PER_TAB)) {
+    tabVideos.delete(url);
+  }
+}
+
+const hydrated = rehydrate();
+
+// Popup subscriptions
+// Popups connect a port per tab and receive incremental add/update/remove
+// events, diffed against what that port has already been sent
+const subscriptions = new Set();
+const pendingNotify = new Set();
+let notifyTimer = null;
+
+function videoKey(video) {
+  return video.groupId;
+}
+
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (e) {
+    // Popup closed mid-send; onDisconnect cleans up
+  }
+}
+
+function syncSubscription(subscription) {
+  const { port, tabId, sent } = subscription;
+  const current = new Map(
+    getVideosForTab(tabId).map((video) => [videoKey(video), video])
+  );
+
+  for (const key of [...sent.keys()]) {
+    if (current.has(key)) continue;
+    sent.delete(key);
+    postToPort(port, { type: "VIDEO_REMOVED", key });
+  }
+
+  for (const [key, video] of current) {
+    const serialized = JSON.stringify(video);
+    if (sent.get(key) === serialized) continue;
+
+    const type = sent.has(key) ? "VIDEO_UPDATED" : "VIDEO_ADDED";
+    sent.set(key, serialized);
+    postToPort(port, { type, key, video });
+  }
+}
+
+function scheduleNotify(tabId) {
+  pendingNotify.add(tabId);
+  if (notifyTimer) return;
+
+  notifyTimer = setTimeout(() => {
+    notifyTimer = null;
+    const tabIds = new Set(pendingNotify);
+    pendingNotify.clear();
+
+    for (const tabId of tabIds) updateBadge(tabId);
+    if (tabIds.has(menuTabId)) rebuildContextMenu(menuTabId);
+
+    for (const subscription of subscriptions) {
+      if (tabIds.has(subscription.tabId)) syncSubscription(subscription);
+    }
+  }, NOTIFY_DELAY_MS);
+}
+
+function notifyCleared(tabId) {
+  for (const subscription of subscriptions) {
+    if (subscription.tabId !== tabId) continue;
+    subscription.sent.clear();
+    postToPort(subscription.port, { type: "VIDEOS_CLEARED" });
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "popup") return;
+
+  let subscription = null;
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.type !== "SUBSCRIBE" || !message.tabId) return;
+    await hydrated;
+
+    if (subscription) subscriptions.delete(subscription);
+    subscription = { port, tabId: message.tabId, sent: new Map() };
+    subscriptions.add(subscription);
+    syncSubscription(subscription);
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (subscription) subscriptions.delete(subscription);
+  });
+});
+
+// Toolbar badge
+// Per-tab count of playable results (ads left out); green when the best one came from a
+// site-specific source
+function updateBadge(tabId) {
+  const videos = getVideosForTab(tabId).filter((v) => !v.ad);
+  const best = videos[0];
+  const isHighPriority =
+    best && (SOURCE_PRIORITY[best.source] || 0) >= BADGE_HIGH_PRIORITY;
+
+  // Tab may be gone by now
+  chrome.action
+    .setBadgeText({ tabId, text: videos.length ? String(videos.length) : "" })
+    .catch(() => {});
+  if (!videos.length) return;
+
+  chrome.action
+    .setBadgeBackgroundColor({
+      tabId,
+      color: isHighPriority ? BADGE_COLOR_HIGH : BADGE_COLOR_DEFAULT,
+    })
+    .catch(() => {});
+}
+
+// TTL expiry happens silently, so recheck every tab periodically
+chrome.alarms.create(BADGE_REFRESH_ALARM, { periodInMinutes: 1 });
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== BADGE_REFRESH_ALARM) return;
+  await hydrated;
+  for (const tabId of videosByTab.keys()) scheduleNotify(tabId);
+});
+
 // Video retrieval
 function getVideosForTab(tabId) {
   const tabVideos = videosByTab.get(tabId);
@@ -166,119 +634,335 @@ function getVideosForTab(tabId) {
 
   const now = Date.now();
   const results = [];
+  let pruned = false;
 
   for (const [url, info] of tabVideos.entries()) {
-    // Skip expired
-    if (now - info.timestamp > ENTRY_TTL_MS) {
+    // Skip expired, including signed URLs the CDN no longer accepts
+    if (
+      now - info.timestamp > ENTRY_TTL_MS ||
+      (info.expiresAt && now >= info.expiresAt)
+    ) {
       tabVideos.delete(url);
+      pruned = true;
       continue;
     }
 
     // Skip non-playable
-    if (!isPlayableVideo(url, info.contentType, info.size, info.source)) {
+    if (
+      !isPlayableVideo(
+        url,
+        info.contentType,
+        info.size,
+        info.source,
+        info.ad,
+        info.playlist
+      )
+    ) {
       continue;
     }
 
     results.push({
-      url,
+      url: embedHeaders(url, info.headers),
       size: info.size,
-      score: scoreVideo(url, info.size, info.source, info.quality),
+      score: scoreVideo(
+        url,
+        info.size,
+        info.source,
+        info.quality,
+        info.duration,
+        info.ad
+      ),
       timestamp: info.timestamp,
       quality: info.quality,
       source: info.source,
       title: info.title,
       playlist: info.playlist,
+      bitrate: info.bitrate,
+      codecs: info.codecs,
+      frameRate: info.frameRate,
+      contentType: info.contentType,
+      representations: info.representations,
+      subtitles: info.subtitles || [],
+      groupId: info.groupId || url,
+      fetchError: info.fetchError || null,
+      duration: info.duration || null,
+      ad: !!info.ad,
+      live: !!info.live,
+      drm: info.drm || null,
+      expiresAt: info.expiresAt || null,
     });
   }
 
+  if (pruned) {
+    schedulePersist(tabId);
+    scheduleNotify(tabId);
+  }
+
   // Sort by score (desc), then timestamp (desc)
-  results.sort((a, b) => {
+  const groups = groupVariants(results);
+  groups.sort((a, b) => {
     if (b.score !== a.score) return b.score - a.score;
     return b.timestamp - a.timestamp;
   });
 
-  return results.slice(0, MAX_RESULTS);
+  return groups.slice(0, MAX_RESULTS);
+}
+
+// Variant grouping
+// Qualities of one logical video (same master playlist, Vimeo config or
+// Instagram media) collapse into one result led by its best-scoring variant
+function groupVariants(results) {
+  const byGroup = new Map();
+  for (const result of results) {
+    if (!byGroup.has(result.groupId)) byGroup.set(result.groupId, []);
+    byGroup.get(result.groupId).push(result);
+  }
+
+  const groups = [];
+  for (const [groupId, members] of byGroup) {
+    const best = members.reduce((a, b) => (b.score > a.score ? b : a));
+
+    // Adaptive playlists ("Auto") first, then highest quality
+    const variants = [...members].sort((a, b) => {
+      if (!a.quality !== !b.quality) return a.quality ? 1 : -1;
+      return (parseInt(b.quality) || 0) - (parseInt(a.quality) || 0);
+    });
+
+    const subtitles = [];
+    for (const member of members) {
+      subtitles.push(
+        ...member.subtitles.filter(
+          (t) => !subtitles.some((s) => s.url === t.url)
+        )
+      );
+    }
+
+    groups.push({
+      ...best,
+      groupId,
+      title: best.title || members.find((m) => m.title)?.title || null,
+      duration:
+        best.duration || members.find((m) => m.duration)?.duration || null,
+      // A master only reveals it's live through its media playlists
+      live: members.some((m) => m.live),
+      drm: members.find((m) => m.drm)?.drm || null,
+      timestamp: Math.max(...members.map((m) => m.timestamp)),
+      subtitles,
+      variants: variants.map((v) => ({
+        url: v.url,
+        quality: v.quality,
+        size: v.size,
+        bitrate: v.bitrate,
+        codecs: v.codecs,
+        frameRate: v.frameRate,
+        playlist: v.playlist,
+        contentType: v.contentType,
+        source: v.source,
+        expiresAt: v.expiresAt,
+      })),
+    });
+  }
+
+  return groups;
+}
+
+// Manifest fetching
+// Manifests behind cookies, tokens or referer checks fail from the worker, so
+// the frame that loaded one refetches it first. The uncredentialed worker
+// fetch (replaying the Authorization header captured for that exact URL)
+// covers frames without a content script.
+// Resolves to { text } or { error }.
+async function fetchManifest(url, tabId, frameId) {
+  let error = null;
+
+  try {
+    const result = await chrome.tabs.sendMessage(
+      tabId,
+      { type: "FETCH_MANIFEST", url },
+      { frameId: frameId ?? 0 }
+    );
+    if (result?.ok) return { text: result.text };
+    if (result) {
+      error = result.status ? `HTTP ${result.status}` : result.error;
+    }
+  } catch (e) {
+    // No content script in that frame
+  }
+
+  try {
+    const authorization = getCapturedAuthorization(tabId, url);
+    // No cookies: the frame covers cookie-protected manifests, and pages
+    // choose which URLs end up here
+    const response = await fetch(url, {
+      credentials: "omit",
+      headers: authorization ? { authorization } : {},
+    });
+    if (response.ok) return { text: await response.text() };
+    // The page's own attempt says more about why the player could load it
+    error = error || `HTTP ${response.status}`;
+  } catch (e) {
+    error = error || e.message;
+  }
+
+  return { error: error || "network error" };
+}
+
+// A frame's refetch shows up in webRequest for the same tab, so without a
+// cooldown every refetch would trigger another one
+function claimManifestFetch(tabId, url) {
+  const now = Date.now();
+  for (const [key, time] of manifestFetches) {
+    if (now - time > MANIFEST_REFETCH_MS) manifestFetches.delete(key);
+  }
+
+  const key = `${tabId} ${url}`;
+  if (manifestFetches.has(key)) return false;
+  manifestFetches.set(key, now);
+  return true;
 }
 
 // M3U8 parsing
-async function fetchAndParseM3U8(url, tabId) {
+async function fetchAndParseM3U8(url, tabId, frameId) {
+  if (!claimManifestFetch(tabId, url)) return;
+
+  // Variants are served by the same CDN, so they need the master's headers
+  const headers = capturedHeaders.get(tabId)?.get(url)?.headers || null;
+  const result = await fetchManifest(url, tabId, frameId);
+
   try {
-    const response = await fetch(url);
-    const text = await response.text();
-
-    if (!text.includes("#EXTM3U")) return;
-
-    const variants = [];
-
-    if (text.includes("#EXT-X-STREAM-INF:")) {
-      // Master playlist - parse variants
-      const segments = text.split("#EXT-X-STREAM-INF:");
-
-      for (const segment of segments) {
-        if (!segment.trim()) continue;
-
-        let quality = null;
-        let variantUrl = null;
-
-        const lines = segment.split("\n");
-        for (const line of lines) {
-          const trimmed = line.trim();
-
-          if (trimmed.includes("RESOLUTION=")) {
-            const match = trimmed.match(/RESOLUTION=(\d+)x(\d+)/);
-            if (match) {
-              quality = `${Math.min(parseInt(match[1]), parseInt(match[2]))}p`;
-            }
-          }
-
-          if (
-            trimmed &&
-            !trimmed.startsWith("#") &&
-            (trimmed.includes(".m3u8") || trimmed.match(/^https?:\/\//))
-          ) {
-            variantUrl = trimmed;
-          }
-        }
-
-        if (variantUrl) {
-          // Make absolute URL if relative
-          if (!variantUrl.startsWith("http")) {
-            const baseMatch = url.match(/(.+\/)[^\/]+\.m3u8/i);
-            if (baseMatch) {
-              variantUrl = baseMatch[1] + variantUrl;
-            }
-          }
-          variants.push({ url: variantUrl, quality });
-        }
-      }
+    const playlist = result.text ? SidebyM3U8.parse(result.text, url) : null;
 
-      // Sort by quality and add best variants
-      variants.sort((a, b) => {
-        const qa = parseInt(a.quality) || 0;
-        const qb = parseInt(b.quality) || 0;
-        return qb - qa;
+    if (!playlist) {
+      addVideoToTab(tabId, {
+        url: url,
+        source: "hls",
+        playlist: true,
+        fetchError: `Couldn't load playlist: ${
+          result.error || "response is not an HLS playlist"
+        }`,
+      });
+      return;
+    }
+    if (!playlist.isMaster) {
+      addVideoToTab(tabId, {
+        url: url,
+        source: "hls",
+        playlist: true,
+        live: playlist.live,
+        duration: playlist.live ? null : playlist.duration,
+        drm: playlist.drm,
       });
+      return;
+    }
 
-      for (const v of variants.slice(0, 3)) {
-        addVideoToTab(tabId, {
-          url: v.url,
-          quality: v.quality,
-          source: "hls",
-          title: null,
-          playlist: true,
-        });
-      }
+    // Subtitles apply to the master too
+    addVideoToTab(tabId, {
+      url: url,
+      source: "hls",
+      playlist: true,
+      subtitles: SidebyM3U8.getSubtitleTracks(playlist),
+      groupId: url,
+      drm: playlist.drm,
+      fetchError: null,
+    });
+
+    // Variants are grouped under the master, so all of them can be offered
+    for (const v of playlist.variants) {
+      addVideoToTab(tabId, {
+        url: v.url,
+        quality: v.quality,
+        bitrate: v.averageBandwidth || v.bandwidth,
+        codecs: v.codecs,
+        frameRate: v.frameRate,
+        source: "hls",
+        title: null,
+        playlist: true,
+        subtitles: v.subtitles
+          ? SidebyM3U8.getSubtitleTracks(playlist, v.subtitles)
+          : [],
+        groupId: url,
+        headers,
+      });
+    }
+  } catch (e) {}
+}
+
+// MPD parsing
+async function fetchAndParseMPD(url, tabId, frameId) {
+  // Skip refetches (live manifests are polled every few seconds)
+  if (videosByTab.get(tabId)?.get(url)?.representations) return;
+  if (!claimManifestFetch(tabId, url)) return;
+
+  const result = await fetchManifest(url, tabId, frameId);
+
+  try {
+    const manifest = result.text ? SidebyMPD.parse(result.text, url) : null;
+
+    if (!manifest) {
+      addVideoToTab(tabId, {
+        url: url,
+        source: "dash",
+        playlist: true,
+        fetchError: `Couldn't load manifest: ${
+          result.error || "response is not a DASH manifest"
+        }`,
+      });
+      return;
     }
+    if (!manifest.representations.length) return;
+
+    addVideoToTab(tabId, {
+      url: url,
+      quality: manifest.representations[0].quality,
+      source: "dash",
+      title: null,
+      playlist: true,
+      representations: manifest.representations,
+      subtitles: manifest.subtitles,
+      duration: manifest.duration,
+      live: manifest.live,
+      drm: manifest.drm,
+      fetchError: null,
+    });
   } catch (e) {}
 }
 
 // Video storage
+function mergeSubtitles(existing = [], incoming = []) {
+  const merged = [...existing];
+  for (const track of incoming) {
+    if (!track?.url || track.url.startsWith("blob:")) continue;
+    if (merged.some((t) => t.url === track.url)) continue;
+    merged.push({
+      url: track.url,
+      language: track.language || null,
+      label: track.label || track.language || null,
+      kind: track.kind || "subtitles",
+      format: track.format || null,
+      forced: !!track.forced,
+      default: !!track.default,
+    });
+  }
+  return merged;
+}
+
 function addVideoToTab(tabId, video) {
   if (!tabId || !video.url) return;
   if (video.url.startsWith("blob:") || video.url.startsWith("data:")) return;
 
-  // Clean the URL
-  const cleanUrl = cleanByteRangeUrl(video.url);
+  // Clean the URL & keep headers out of the key, so every detection path
+  // for the same file lands on one entry
+  const split = splitHeadersParam(video.url);
+  const cleanUrl = cleanByteRangeUrl(split.url);
+
+  // Headers the browser actually sent beat ones derived from the page
+  const captured = capturedHeaders.get(tabId)?.get(cleanUrl)?.headers;
+  const merged = { ...split.headers, ...video.headers, ...captured };
+  const headers = Object.keys(merged).length ? merged : null;
+
+  // Dead on arrival (e.g. a stale og:video)
+  const expiresAt = getUrlExpiry(cleanUrl);
+  if (expiresAt && expiresAt <= Date.now()) return;
 
   if (!videosByTab.has(tabId)) {
     videosByTab.set(tabId, new Map());
@@ -296,7 +980,21 @@ function addVideoToTab(tabId, video) {
       quality: video.quality,
       title: video.title,
       playlist: video.playlist,
+      bitrate: video.bitrate || null,
+      codecs: video.codecs || null,
+      frameRate: video.frameRate || null,
+      representations: video.representations,
+      subtitles: mergeSubtitles([], video.subtitles),
+      groupId: video.groupId || null,
+      headers,
+      fetchError: video.fetchError || null,
+      duration: video.duration || null,
+      ad: !!video.ad || isAdUrl(cleanUrl),
+      live: !!video.live,
+      drm: drmName(video.drm),
+      expiresAt,
     });
+    evictOldest(tabVideos);
   } else {
     // Update with higher priority source
     const existingPriority = SOURCE_PRIORITY[existing.source] || 0;
@@ -311,10 +1009,244 @@ function addVideoToTab(tabId, video) {
     if (video.title && !existing.title) {
       existing.title = video.title;
     }
+    if (video.bitrate && !existing.bitrate) {
+      existing.bitrate = video.bitrate;
+      existing.codecs = video.codecs || existing.codecs;
+      existing.frameRate = video.frameRate || existing.frameRate;
+    }
+    if (video.representations?.length) {
+      existing.representations = video.representations;
+    }
+    if (video.subtitles?.length) {
+      existing.subtitles = mergeSubtitles(existing.subtitles, video.subtitles);
+    }
+    if (video.groupId && !existing.groupId) {
+      existing.groupId = video.groupId;
+    }
+    if (headers) {
+      existing.headers = { ...existing.headers, ...headers };
+    }
+    // Only manifest fetches set or clear the diagnostic
+    if (video.fetchError !== undefined) {
+      existing.fetchError = video.fetchError;
+    }
+    if (video.duration && !existing.duration) {
+      existing.duration = video.duration;
+    }
+    // Once seen in a VAST response, always an ad
+    if (video.ad) {
+      existing.ad = true;
+    }
+    if (video.live) {
+      existing.live = true;
+    }
+    if (video.drm && !existing.drm) {
+      existing.drm = drmName(video.drm);
+    }
   }
+
+  if (needsProbe(tabId, cleanUrl, tabVideos.get(cleanUrl))) {
+    scheduleProbe(tabId, cleanUrl);
+  }
+
+  schedulePersist(tabId);
+  scheduleNotify(tabId);
+}
+
+// Metadata probing
+// DOM, og:video & API candidates arrive without size or type, so a HEAD (or a
+// one-byte Range GET where HEAD is refused) fills them in. HLS durations come
+// from summing a media playlist's #EXTINF segments. Probes run from the worker
+// so they don't show up in webRequest as the tab's own traffic.
+const probeQueue = [];
+const probedUrls = new Map(); // tabId -> Set of urls
+let activeProbes = 0;
+
+function isHlsEntry(url, info) {
+  return (
+    /\.m3u8(\?|#|$)/i.test(url) ||
+    HLS_CONTENT_TYPES.some((ct) =>
+      (info.contentType || "").toLowerCase().includes(ct)
+    )
+  );
+}
+
+// URLs reported by the page are untrusted (any page can dispatch the watcher
+// event), so only media-looking ones are probed at all
+function looksLikeMedia(url, info) {
+  return (
+    VIDEO_EXTENSIONS.test(url) ||
+    VIDEO_CONTENT_TYPES.test(info.contentType || "")
+  );
+}
+
+// The browser itself requested this URL for the tab, cookies & all
+function sawRequest(tabId, url, info) {
+  return (
+    info?.source === "webRequest" || !!capturedHeaders.get(tabId)?.has(url)
+  );
+}
+
+function needsProbe(tabId, url, info) {
+  if (!info || !url.startsWith("http") || info.source === "youtube") {
+    return false;
+  }
+  if (!looksLikeMedia(url, info) && !sawRequest(tabId, url, info)) {
+    return false;
+  }
+
+  if (info.playlist) {
+    // Variants share their master's duration; DASH gets it from the MPD
+    if (info.groupId && info.groupId !== url) return false;
+    return !info.duration && !info.live && isHlsEntry(url, info);
+  }
+  return !info.size || !info.contentType;
+}
+
+function scheduleProbe(tabId, url) {
+  if (!probedUrls.has(tabId)) probedUrls.set(tabId, new Set());
+  const tabProbes = probedUrls.get(tabId);
+  if (tabProbes.has(url)) return;
+
+  tabProbes.add(url);
+  probeQueue.push({ tabId, url });
+  drainProbeQueue();
+}
+
+function drainProbeQueue() {
+  while (activeProbes < MAX_CONCURRENT_PROBES && probeQueue.length) {
+    const { tabId, url } = probeQueue.shift();
+    activeProbes++;
+    probeVideo(tabId, url)
+      .catch(() => {})
+      .finally(() => {
+        activeProbes--;
+        drainProbeQueue();
+      });
+  }
+}
+
+// Cookies only go where the browser already sent them; the Authorization
+// header only to the exact URL it was captured for
+function probeInit(tabId, url, init = {}) {
+  const info = videosByTab.get(tabId)?.get(url);
+  const authorization = getCapturedAuthorization(tabId, url);
+  return {
+    ...init,
+    credentials: sawRequest(tabId, url, info) ? "include" : "omit",
+    headers: { ...init.headers, ...(authorization && { authorization }) },
+    signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+  };
 }
 
-// WebRequest listener
+async function probeFile(tabId, url) {
+  // Some CDNs reject HEAD outright
+  let response = await fetch(
+    url,
+    probeInit(tabId, url, { method: "HEAD" })
+  ).catch(() => null);
+
+  if (!response?.ok || !response.headers.get("content-length")) {
+    response = await fetch(
+      url,
+      probeInit(tabId, url, { headers: { range: "bytes=0-0" } })
+    );
+    // Servers ignoring Range send the whole file; don't download it
+    response.body?.cancel().catch(() => {});
+  }
+  if (!response.ok) return null;
+
+  // "bytes 0-0/12345" on 206, plain Content-Length otherwise
+  const total =
+    response.headers.get("content-range")?.match(/\/(\d+)$/)?.[1] ||
+    (response.status === 200 ? response.headers.get("content-length") : null);
+  const size = total ? parseInt(total, 10) : null;
+
+  return {
+    size: size || null,
+    contentType: response.headers.get("content-type")?.split(";")[0] || null,
+  };
+}
+
+// Live playlists only list a sliding window, so they have no duration
+async function probePlaylist(tabId, url) {
+  const load = async (playlistUrl) => {
+    const response = await fetch(playlistUrl, probeInit(tabId, playlistUrl));
+    return response.ok
+      ? SidebyM3U8.parse(await response.text(), playlistUrl)
+      : null;
+  };
+
+  let playlist = await load(url);
+  // Any variant will do; the lowest is the cheapest to list
+  if (playlist?.isMaster) {
+    playlist = await load(playlist.variants[playlist.variants.length - 1].url);
+  }
+  if (!playlist || playlist.isMaster) return null;
+
+  return {
+    duration: playlist.live ? null : playlist.duration,
+    live: playlist.live,
+    drm: playlist.drm,
+  };
+}
+
+async function probeVideo(tabId, url) {
+  const info = videosByTab.get(tabId)?.get(url);
+  if (!info) return;
+
+  const result = info.playlist
+    ? await probePlaylist(tabId, url)
+    : await probeFile(tabId, url);
+  if (!result) return;
+
+  // The tab may have navigated away while the probe ran
+  const entry = videosByTab.get(tabId)?.get(url);
+  if (!entry) return;
+
+  if (result.size && !entry.size) entry.size = result.size;
+  if (result.contentType && !entry.contentType) {
+    entry.contentType = result.contentType;
+  }
+  if (result.duration && !entry.duration) entry.duration = result.duration;
+  if (result.live) entry.live = true;
+  if (result.drm && !entry.drm) entry.drm = drmName(result.drm);
+
+  schedulePersist(tabId);
+  scheduleNotify(tabId);
+}
+
+// WebRequest listeners
+// Referer/Origin are only visible with extraHeaders. Only media requests &
+// video/manifest URLs are kept; segments are never offered & would flood the
+// per-tab cache.
+chrome.webRequest.onSendHeaders.addListener(
+  (details) => {
+    try {
+      if (!details.tabId || details.tabId < 0) return;
+
+      const url = details.url;
+      if (!url || !url.startsWith("http") || SEGMENT_EXTENSIONS.test(url)) {
+        return;
+      }
+      if (details.type !== "media" && !VIDEO_EXTENSIONS.test(url)) return;
+
+      const headers = pickForwardedHeaders(details.requestHeaders);
+      const authorization = pickAuthorization(details.requestHeaders);
+      if (headers || authorization) {
+        rememberHeaders(
+          details.tabId,
+          cleanByteRangeUrl(url),
+          headers,
+          authorization
+        );
+      }
+    } catch (e) {}
+  },
+  { urls: ["<all_urls>"], types: ["media", "xmlhttprequest", "other"] },
+  ["requestHeaders", "extraHeaders"]
+);
+
 chrome.webRequest.onCompleted.addListener(
   async (details) => {
     try {
@@ -336,7 +1268,7 @@ chrome.webRequest.onCompleted.addListener(
 
       if (isHLS || isM3U8Url) {
         // Fetch and parse M3U8 for variants
-        fetchAndParseM3U8(url, details.tabId);
+        fetchAndParseM3U8(url, details.tabId, details.frameId);
 
         // Also add the master playlist
         addVideoToTab(details.tabId, {
@@ -348,6 +1280,25 @@ chrome.webRequest.onCompleted.addListener(
         return;
       }
 
+      // Check for DASH manifests
+      const isDASH = DASH_CONTENT_TYPES.some((ct) =>
+        contentType.toLowerCase().includes(ct)
+      );
+      const isMpdUrl = /\.mpd(\?|#|$)/i.test(url);
+
+      if (isDASH || isMpdUrl) {
+        addVideoToTab(details.tabId, {
+          url: url,
+          contentType: contentType,
+          source: "dash",
+          playlist: true,
+        });
+
+        // Fetch and parse MPD for representations
+        fetchAndParseMPD(url, details.tabId, details.frameId);
+        return;
+      }
+
       // Check for regular video
       const hasVideoExt =
         VIDEO_EXTENSIONS.test(url) || SEGMENT_EXTENSIONS.test(url);
@@ -376,15 +1327,24 @@ chrome.webRequest.onCompleted.addListener(
 
 // Tab cleanup
 chrome.tabs.onRemoved.addListener((tabId) => {
-  videosByTab.delete(tabId);
+  capturedHeaders.delete(tabId);
+  discardTab(tabId);
+});
+
+// Top-level navigation starts a fresh page
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === "loading" && changeInfo.url) {
+    discardTab(tabId);
+  }
 });
 
 // Message handlers
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message?.type === "GET_VIDEOS") {
     const tabId = message.tabId;
-    const videos = getVideosForTab(tabId);
-    sendResponse({ videos });
+    hydrated.then(() => {
+      sendResponse({ videos: getVideosForTab(tabId) });
+    });
     return true;
   }
 
@@ -396,42 +1356,336 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       quality: message.quality,
       title: message.title,
       playlist: message.playlist,
+      bitrate: message.bitrate,
+      codecs: message.codecs,
+      frameRate: message.frameRate,
+      representations: message.representations,
+      subtitles: message.subtitles,
+      groupId: message.groupId,
+      duration: message.duration,
+      ad: message.ad,
+      live: message.live,
+      drm: message.drm,
+      // DOM-found videos were loaded by this page (YouTube sends the page itself)
+      headers:
+        message.url !== message.pageUrl
+          ? pageHeaders(message.pageUrl || sender?.tab?.url)
+          : null,
     });
     return true;
   }
 
   if (message?.type === "CLEAR_VIDEOS") {
     const tabId = sender?.tab?.id;
-    if (tabId && videosByTab.has(tabId)) {
-      videosByTab.get(tabId).clear();
+    if (tabId) {
+      discardTab(tabId);
     }
     return true;
   }
 });
 
 // Context menu
-chrome.runtime.onInstalled.addListener(() => {
-  try {
-    chrome.contextMenus.create({
-      id: "sideby-pass",
-      title: "Play with Sideby Pass",
-      contexts: ["video", "link"],
+// Right-clicking a <video>/link offers it directly. Everywhere else a
+// "Sideby Pass" submenu lists the active tab's detections, since players
+// are often covered by overlay divs that hide the <video> from the menu.
+const MENU_ITEM_DIRECT = "sideby-pass";
+const MENU_ROOT = "sideby-menu";
+const MENU_PAGE = "sideby-page";
+const MENU_EMPTY = "sideby-empty";
+const MENU_CREATE_PREFIX = "sideby-create:";
+const MENU_COPY_PREFIX = "sideby-copy:";
+const MENU_SEND_PREFIX = "sideby-send:";
+const MENU_TITLE_LENGTH = 48;
+const YOUTUBE_PAGE_PATTERNS = [
+  "*://*.youtube.com/watch*",
+  "*://*.youtube.com/shorts/*",
+];
+
+let menuTabId = null;
+let menuSignature = null;
+let menuQueue = Promise.resolve();
+
+function describeVideo(video) {
+  const title = video.title || "Untitled Video";
+  const short =
+    title.length > MENU_TITLE_LENGTH
+      ? `${title.slice(0, MENU_TITLE_LENGTH - 1)}…`
+      : title;
+
+  let kind = "Video";
+  if (/\.m3u8(\?|#|$)/i.test(video.url)) kind = "HLS";
+  else if (/\.mpd(\?|#|$)/i.test(video.url)) kind = "DASH";
+  else if (/\.(mp4|m4v)(\?|#|$)/i.test(video.url)) kind = "MP4";
+
+  const details = [
+    video.ad && "Ad",
+    video.live && "Live",
+    video.drm && "DRM",
+    kind,
+    video.quality,
+  ].filter(Boolean);
+  return `${short} (${details.join(", ")})`;
+}
+
+function createMenuItem(props) {
+  chrome.contextMenus.create(props, () => {
+    // Read lastError so duplicate-id races don't surface as uncaught
+    void chrome.runtime.lastError;
+  });
+}
+
+async function buildContextMenu(tabId) {
+  await hydrated;
+  const videos = tabId ? getVideosForTab(tabId) : [];
+  const rooms = videos.length ? await findOtherRooms(tabId) : [];
+
+  // Menus are global - only rebuild when what they'd show changes
+  const signature = JSON.stringify([
+    videos.map((v) => [v.url, describeVideo(v)]),
+    rooms.map((r) => [r.tabId, r.name]),
+  ]);
+  if (tabId === menuTabId && signature === menuSignature) return;
+  menuTabId = tabId;
+  menuSignature = signature;
+
+  await chrome.contextMenus.removeAll();
+
+  createMenuItem({
+    id: MENU_ITEM_DIRECT,
+    title: "Play with Sideby Pass",
+    contexts: ["video", "link"],
+  });
+
+  createMenuItem({
+    id: MENU_ROOT,
+    title: "Sideby Pass",
+    contexts: ["page", "frame", "video"],
+  });
+
+  createMenuItem({
+    id: MENU_PAGE,
+    parentId: MENU_ROOT,
+    title: "Create room for this page",
+    contexts: ["page", "frame", "video"],
+    documentUrlPatterns: YOUTUBE_PAGE_PATTERNS,
+  });
+
+  if (!videos.length) {
+    createMenuItem({
+      id: MENU_EMPTY,
+      parentId: MENU_ROOT,
+      title: "No videos detected yet",
+      contexts: ["page", "frame", "video"],
+      enabled: false,
     });
+    return;
+  }
+
+  videos.forEach((video, i) => {
+    const parentId = `sideby-video:${i}`;
+    createMenuItem({
+      id: parentId,
+      parentId: MENU_ROOT,
+      title: describeVideo(video),
+      contexts: ["page", "frame", "video"],
+    });
+    createMenuItem({
+      id: `${MENU_CREATE_PREFIX}${video.url}`,
+      parentId,
+      // DRM-protected streams can't play in a room
+      title: video.drm ? "Create room (DRM-protected)" : "Create room",
+      contexts: ["page", "frame", "video"],
+      enabled: !video.drm,
+    });
+    createMenuItem({
+      id: `${MENU_COPY_PREFIX}${video.url}`,
+      parentId,
+      title: "Copy link",
+      contexts: ["page", "frame", "video"],
+    });
+    for (const room of rooms) {
+      createMenuItem({
+        id: `${MENU_SEND_PREFIX}${room.tabId}:${video.url}`,
+        parentId,
+        title: `Send to room: ${room.name}`,
+        contexts: ["page", "frame", "video"],
+        enabled: !video.drm,
+      });
+    }
+  });
+}
+
+// Rooms open in other tabs; the active tab can't send to itself
+async function findOtherRooms(tabId) {
+  try {
+    const { appBaseUrl } = await SidebyConfig.loadConfig();
+    const rooms = await SidebyRooms.findRoomTabs(appBaseUrl);
+    return rooms.filter((room) => room.tabId !== tabId);
   } catch (e) {
-    console.error("Failed to create context menu", e);
+    return [];
   }
+}
+
+// Serialized so overlapping rebuilds can't interleave removeAll/create
+function rebuildContextMenu(tabId) {
+  menuQueue = menuQueue
+    .then(() => buildContextMenu(tabId))
+    .catch((e) => console.warn("Failed to build context menu", e));
+}
+
+async function rebuildForActiveTab() {
+  const [tab] = await chrome.tabs.query({
+    active: true,
+    lastFocusedWindow: true,
+  });
+  rebuildContextMenu(tab?.id ?? null);
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  menuSignature = null;
+  rebuildForActiveTab();
 });
 
-chrome.contextMenus.onClicked.addListener((info) => {
-  if (info.menuItemId !== "sideby-pass") return;
+// The worker is stopped when idle & comes back with menuTabId unset, so
+// pick the active tab up again or its menu would stop following updates
+hydrated.then(() => rebuildForActiveTab()).catch(() => {});
 
-  const videoUrl = info.srcUrl || info.linkUrl;
-  if (!videoUrl) return;
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  rebuildContextMenu(tabId);
+});
 
-  const params = new URLSearchParams();
-  params.set("videoUrl", videoUrl);
-  params.set("autoplay", "1");
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) rebuildForActiveTab();
+});
 
-  const url = `${APP_BASE_URL}/create?${params.toString()}`;
+// Asks the frame holding the video for its current time (any frame if
+// frameId is omitted)
+async function getPlaybackPosition(tabId, frameId, url) {
+  try {
+    const response = await chrome.tabs.sendMessage(
+      tabId,
+      { type: "GET_PLAYBACK_POSITION", url },
+      frameId === undefined ? {} : { frameId }
+    );
+    return response?.position >= 1 ? Math.floor(response.position) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function openCreateRoom(videoUrl, options = {}) {
+  const { appBaseUrl } = await SidebyConfig.loadConfig();
+  const url = SidebyRooms.buildCreateUrl(appBaseUrl, {
+    url: videoUrl,
+    ...options,
+  });
   chrome.tabs.create({ url });
+}
+
+// Service workers have no clipboard, so copy from inside the page
+async function copyToClipboard(tabId, text) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (value) => {
+        const textarea = document.createElement("textarea");
+        textarea.value = value;
+        textarea.style.position = "fixed";
+        textarea.style.opacity = "0";
+        document.documentElement.appendChild(textarea);
+        textarea.select();
+        document.execCommand("copy");
+        textarea.remove();
+      },
+      args: [text],
+    });
+  } catch (e) {
+    console.warn("Failed to copy link", e);
+  }
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const menuItemId = String(info.menuItemId);
+
+  if (menuItemId === MENU_ITEM_DIRECT) {
+    const videoUrl = info.srcUrl || info.linkUrl;
+    if (!videoUrl) return;
+
+    // Right-clicked <video>: pick up where it is now
+    let startAt = null;
+    if (info.srcUrl && info.mediaType === "video" && tab?.id) {
+      startAt = await getPlaybackPosition(tab.id, info.frameId, videoUrl);
+    }
+
+    openCreateRoom(videoUrl, { startAt });
+    return;
+  }
+
+  if (menuItemId === MENU_PAGE) {
+    const pageUrl = info.pageUrl || tab?.url;
+    if (!pageUrl) return;
+
+    const startAt = tab?.id
+      ? await getPlaybackPosition(tab.id, 0, pageUrl)
+      : null;
+    openCreateRoom(pageUrl, {
+      title: tab?.title?.replace(" - YouTube", ""),
+      source: pageUrl,
+      startAt,
+    });
+    return;
+  }
+
+  if (menuItemId.startsWith(MENU_CREATE_PREFIX)) {
+    const videoUrl = menuItemId.slice(MENU_CREATE_PREFIX.length);
+    await hydrated;
+    const video = tab?.id
+      ? getVideosForTab(tab.id).find((v) => v.url === videoUrl)
+      : null;
+    const startAt =
+      tab?.id && !video?.live
+        ? await getPlaybackPosition(tab.id, undefined, videoUrl)
+        : null;
+
+    openCreateRoom(videoUrl, {
+      title: video?.title || tab?.title,
+      source: info.pageUrl || tab?.url,
+      startAt,
+      live: video?.live,
+    });
+    return;
+  }
+
+  if (menuItemId.startsWith(MENU_SEND_PREFIX)) {
+    const rest = menuItemId.slice(MENU_SEND_PREFIX.length);
+    const separator = rest.indexOf(":");
+    const roomTabId = Number(rest.slice(0, separator));
+    const videoUrl = rest.slice(separator + 1);
+
+    await hydrated;
+    const video = tab?.id
+      ? getVideosForTab(tab.id).find((v) => v.url === videoUrl)
+      : null;
+    const room = (await findOtherRooms(tab?.id)).find(
+      (r) => r.tabId === roomTabId
+    );
+    if (!room) return;
+
+    const { appBaseUrl } = await SidebyConfig.loadConfig();
+    await SidebyRooms.sendToRoomOrCreate(
+      room,
+      {
+        url: videoUrl,
+        title: video?.title || tab?.title,
+        source: info.pageUrl || tab?.url,
+        live: video?.live,
+      },
+      appBaseUrl
+    );
+    return;
+  }
+
+  if (menuItemId.startsWith(MENU_COPY_PREFIX) && tab?.id) {
+    copyToClipboard(tab.id, menuItemId.slice(MENU_COPY_PREFIX.length));
+  }
 });
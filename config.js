@@ -0,0 +1,71 @@
+// Sideby Pass - Config
+// Shared settings for background, popup, options & content scripts. Values live in chrome.storage.sync.
+
+(function () {
+  if (globalThis.SidebyConfig) return;
+
+  const DEFAULT_CONFIG = {
+    appBaseUrl: "https://sideby.me",
+    apiBaseUrl: "https://sideby.me",
+    proxyHost: "pipe.sideby.me",
+  };
+
+  // Strip trailing slashes so paths can be appended directly
+  function normalizeBaseUrl(value) {
+    const url = new URL(String(value).trim());
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error("URL must start with http:// or https://");
+    }
+    if (url.search || url.hash) {
+      throw new Error("URL must not contain a query or fragment");
+    }
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, "");
+  }
+
+  function normalizeHost(value) {
+    const host = String(value).trim().toLowerCase();
+    if (!/^[a-z0-9.-]+(:\d+)?$/.test(host) || host.startsWith(".")) {
+      throw new Error(
+        "Proxy host must be a bare hostname, e.g. pipe.example.com"
+      );
+    }
+    return host;
+  }
+
+  async function loadConfig() {
+    try {
+      const stored = await chrome.storage.sync.get(DEFAULT_CONFIG);
+      return { ...DEFAULT_CONFIG, ...stored };
+    } catch (e) {
+      return { ...DEFAULT_CONFIG };
+    }
+  }
+
+  async function saveConfig(config) {
+    const next = {
+      appBaseUrl: normalizeBaseUrl(config.appBaseUrl),
+      apiBaseUrl: normalizeBaseUrl(config.apiBaseUrl),
+      proxyHost: normalizeHost(config.proxyHost),
+    };
+    await chrome.storage.sync.set(next);
+    return next;
+  }
+
+  // Calls back with the full config whenever any value changes
+  function onConfigChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "sync") return;
+      if (!Object.keys(changes).some((key) => key in DEFAULT_CONFIG)) return;
+      loadConfig().then(callback);
+    });
+  }
+
+  globalThis.SidebyConfig = {
+    DEFAULT_CONFIG,
+    normalizeBaseUrl,
+    normalizeHost,
+    loadConfig,
+    saveConfig,
+    onConfigChanged,
+  };
+})();
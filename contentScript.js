@@ -7,6 +7,10 @@
 
   const SIDEBY_EVENT = "sideby:video-found";
   const CLEAR_EVENT = "sideby:clear-videos";
+  const CONFIG_EVENT = "sideby:config";
+  const ROOM_VIDEO_EVENT = "sideby:set-video";
+  const ROOM_VIDEO_ACK_EVENT = "sideby:set-video-ack";
+  const ROOM_ACK_TIMEOUT_MS = 3000;
   const PROCESSED_CLASS = "sideby-processed";
 
   // Utilities
@@ -51,6 +55,16 @@
       title: video.title || document.title,
       pageUrl: document.location.href,
       playlist: video.playlist,
+      bitrate: video.bitrate,
+      codecs: video.codecs,
+      frameRate: video.frameRate,
+      representations: video.representations,
+      subtitles: video.subtitles,
+      groupId: video.groupId,
+      duration: video.duration,
+      ad: video.ad,
+      live: video.live,
+      drm: video.drm,
     });
   }
 
@@ -65,6 +79,18 @@
     chrome.runtime.sendMessage({ type: "CLEAR_VIDEOS" });
   });
 
+  // Config (watcher.js runs in the page and can't read extension storage)
+  function forwardConfig(config) {
+    window.dispatchEvent(
+      new CustomEvent(CONFIG_EVENT, {
+        detail: { proxyHost: config.proxyHost },
+      })
+    );
+  }
+
+  SidebyConfig.loadConfig().then(forwardConfig);
+  SidebyConfig.onConfigChanged(forwardConfig);
+
   // YouTube direct URL
   function checkYouTube() {
     if (!window.location.hostname.includes("youtube.com")) return;
@@ -98,6 +124,37 @@
     }, 500);
   }
 
+  // <track> elements with subtitles/captions (kind defaults to subtitles)
+  function getTextTracks(video) {
+    const tracks = [];
+    for (const track of video.querySelectorAll("track[src]")) {
+      const kind = track.kind || "subtitles";
+      if (kind !== "subtitles" && kind !== "captions") continue;
+      if (!track.src || track.src.startsWith("data:")) continue;
+
+      tracks.push({
+        url: track.src,
+        language: track.srclang || null,
+        label: track.label || track.srclang || null,
+        kind: kind,
+        format: /\.srt(\?|#|$)/i.test(track.src) ? "srt" : "vtt",
+        default: track.default,
+      });
+    }
+    return tracks;
+  }
+
+  // src, currentSrc & <source> URLs, skipping blob:/data:
+  function getVideoSources(video) {
+    const urls = [video.src, video.currentSrc];
+    for (const source of video.querySelectorAll("source[src]")) {
+      urls.push(source.src);
+    }
+    return urls.filter(
+      (url) => url && !url.startsWith("blob:") && !url.startsWith("data:")
+    );
+  }
+
   // DOM video scanning
   function scanVideos() {
     const videos = document.querySelectorAll("video");
@@ -105,38 +162,12 @@
     for (const video of videos) {
       if (video.classList.contains(PROCESSED_CLASS)) continue;
 
-      const urls = [];
-
       // Prefer playing and visible videos
       const isPlaying = !video.paused && !video.ended && video.currentTime > 0;
       const isVisible = isInViewport(video);
 
-      // Get src
-      if (
-        video.src &&
-        !video.src.startsWith("blob:") &&
-        !video.src.startsWith("data:")
-      ) {
-        urls.push(video.src);
-      }
-      if (
-        video.currentSrc &&
-        !video.currentSrc.startsWith("blob:") &&
-        !video.currentSrc.startsWith("data:")
-      ) {
-        urls.push(video.currentSrc);
-      }
-
-      // Get source elements
-      for (const source of video.querySelectorAll("source[src]")) {
-        if (
-          source.src &&
-          !source.src.startsWith("blob:") &&
-          !source.src.startsWith("data:")
-        ) {
-          urls.push(source.src);
-        }
-      }
+      const urls = getVideoSources(video);
+      const subtitles = getTextTracks(video);
 
       // Send unique URLs
       const seen = new Set();
@@ -153,6 +184,10 @@
           url: cleanUrl,
           source: isPlaying && isVisible ? "dom-playing" : "dom",
           title: document.title,
+          subtitles: subtitles,
+          // Infinity for live streams, NaN before metadata loads
+          duration: Number.isFinite(video.duration) ? video.duration : null,
+          live: video.duration === Infinity,
         });
       }
 
@@ -192,7 +227,7 @@
     }
   }
 
-  // JSON script tag scanning (Instagram stories, etc.)
+  // JSON script tag scanning (Instagram stories, Facebook posts, etc.)
   function scanJsonScripts() {
     const hostname = window.location.hostname;
 
@@ -234,6 +269,39 @@
       }
     }
 
+    // Facebook: look for playable_url in JSON scripts
+    if (hostname.includes("facebook.com")) {
+      const scripts = document.querySelectorAll(
+        'script[type="application/json"]'
+      );
+      for (const script of scripts) {
+        if (script.classList.contains(PROCESSED_CLASS)) continue;
+
+        const text = script.innerText || script.textContent;
+        if (!text || !SidebyFacebook.mayHaveVideos(text)) continue;
+
+        try {
+          const data = JSON.parse(text);
+
+          for (const { video, title } of SidebyFacebook.findVideos(data)) {
+            // Prefer the HD progressive file, like the watcher
+            const { hd, sd } = SidebyFacebook.getProgressiveUrls(video);
+            const url = hd || sd;
+            if (!url) continue;
+
+            sendVideo({
+              url: url,
+              quality: SidebyFacebook.getQuality(video),
+              source: "facebook-json",
+              title: title || document.title,
+            });
+          }
+
+          script.classList.add(PROCESSED_CLASS);
+        } catch (e) {}
+      }
+    }
+
     // TikTok: parse __UNIVERSAL_DATA_FOR_REHYDRATION__
     if (hostname.includes("tiktok.com")) {
       const rehydration = document.getElementById(
@@ -272,6 +340,129 @@
     }
   }
 
+  // Playback position
+  // Drop the headers param watcher.js embeds so URLs compare equal
+  function normalizeMediaUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.searchParams.delete("headers");
+      return cleanByteRangeUrl(parsed.toString());
+    } catch (e) {
+      return url;
+    }
+  }
+
+  function getYouTubeId(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.hostname === "youtu.be") return parsed.pathname.slice(1);
+      const shorts = parsed.pathname.match(/^\/shorts\/([^/?#]+)/);
+      return shorts ? shorts[1] : parsed.searchParams.get("v");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // YouTube t= values: "90", "90s", "1m30s", "1h2m3s"
+  function parseTimeParam(value) {
+    if (!value) return null;
+    if (/^\d+s?$/.test(value)) return parseInt(value, 10);
+
+    const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match) return null;
+    const [, h = 0, m = 0, sec = 0] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(sec);
+  }
+
+  // Current time of the <video> playing url in this frame, or null
+  function getPlaybackPosition(url) {
+    if (window.location.hostname.includes("youtube.com")) {
+      const id = getYouTubeId(url);
+      if (!id || id !== getYouTubeId(window.location.href)) return null;
+
+      const player =
+        document.querySelector("video.html5-main-video") ||
+        document.querySelector("video");
+      if (player && player.currentTime > 0) return player.currentTime;
+
+      const t = new URL(window.location.href).searchParams.get("t");
+      return parseTimeParam(t);
+    }
+
+    const target = normalizeMediaUrl(url);
+    for (const video of document.querySelectorAll("video")) {
+      const sources = getVideoSources(video).map(normalizeMediaUrl);
+      if (sources.includes(target)) return video.currentTime || null;
+    }
+    return null;
+  }
+
+  // Room handoff
+  // On the Sideby app itself, "Send to room" is passed on to the page, which
+  // switches the room's video for everyone. The page gets a sideby:set-video
+  // event with { requestId, videoUrl, title, source, subtitle, live } & must
+  // answer with a sideby:set-video-ack event carrying { requestId, ok } within
+  // ROOM_ACK_TIMEOUT_MS. No answer (an older app, a page that isn't a room)
+  // counts as a refusal, so the caller can fall back to a new room.
+  async function handOffToRoom(message) {
+    const { appBaseUrl } = await SidebyConfig.loadConfig();
+    if (!window.location.href.startsWith(`${appBaseUrl}/`)) return false;
+
+    const requestId = crypto.randomUUID();
+
+    return new Promise((resolve) => {
+      const finish = (ok) => {
+        clearTimeout(timer);
+        window.removeEventListener(ROOM_VIDEO_ACK_EVENT, onAck);
+        resolve(ok);
+      };
+      const onAck = (event) => {
+        if (event.detail?.requestId !== requestId) return;
+        finish(event.detail.ok === true);
+      };
+      const timer = setTimeout(() => finish(false), ROOM_ACK_TIMEOUT_MS);
+      window.addEventListener(ROOM_VIDEO_ACK_EVENT, onAck);
+
+      window.dispatchEvent(
+        new CustomEvent(ROOM_VIDEO_EVENT, {
+          detail: {
+            requestId,
+            videoUrl: message.videoUrl,
+            title: message.title,
+            source: message.source,
+            subtitle: message.subtitle,
+            live: message.live,
+          },
+        })
+      );
+    });
+  }
+
+  // Manifest fetching
+  // The background asks the frame that loaded a manifest to refetch it, so the
+  // request carries the page's origin (& cookies) just like the player's did.
+  // The default mode works for same-origin & "Allow-Origin: *" CDNs; CDNs
+  // that check cookies cross-origin only answer a credentialed request.
+  async function fetchManifestWith(url, credentials) {
+    try {
+      const response = await fetch(url, { credentials });
+      if (!response.ok) return { ok: false, status: response.status };
+      return { ok: true, text: await response.text() };
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  }
+
+  async function fetchManifest(url) {
+    const result = await fetchManifestWith(url, "same-origin");
+    if (result.ok) return result;
+
+    const retry = await fetchManifestWith(url, "include");
+    if (retry.ok) return retry;
+    // An HTTP status says more than a CORS rejection
+    return result.status ? result : retry;
+  }
+
   // Message handlers
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message?.type === "GET_PAGE_INFO") {
@@ -282,6 +473,24 @@
       return true;
     }
 
+    if (message?.type === "GET_PLAYBACK_POSITION") {
+      // Only the frame holding the video answers
+      const position = getPlaybackPosition(message.url);
+      if (position === null) return false;
+      sendResponse({ position });
+      return true;
+    }
+
+    if (message?.type === "SET_ROOM_VIDEO") {
+      handOffToRoom(message).then((ok) => sendResponse({ ok }));
+      return true;
+    }
+
+    if (message?.type === "FETCH_MANIFEST") {
+      fetchManifest(message.url).then(sendResponse);
+      return true;
+    }
+
     if (message?.type === "SCAN_DOM") {
       scanVideos();
       scanMetaTags();
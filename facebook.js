@@ -0,0 +1,57 @@
+// Sideby Pass - Facebook Video Extraction
+// Finds videos in Facebook GraphQL responses & page JSON blobs. Shared by watcher.js & contentScript.js
+
+(function () {
+  if (globalThis.SidebyFacebook) return;
+
+  const VIDEO_PATTERN = /playable_url|browser_native_(hd|sd)_url|dash_manifest/;
+
+  // Cheap check before parsing a (often huge) response
+  function mayHaveVideos(text) {
+    return typeof text === "string" && VIDEO_PATTERN.test(text);
+  }
+
+  // Video nodes carry playable_url(_quality_hd) (browser_native_*_url on
+  // newer pages); the post text sits on an ancestor story as message.text
+  function findVideos(obj, text = null, results = []) {
+    if (!obj || typeof obj !== "object") return results;
+
+    const postText = obj.message?.text || obj.savable_description?.text || text;
+    if (
+      obj.playable_url ||
+      obj.playable_url_quality_hd ||
+      obj.browser_native_hd_url ||
+      obj.browser_native_sd_url ||
+      obj.dash_manifest_url
+    ) {
+      results.push({ video: obj, title: postText, id: obj.id || null });
+    }
+
+    for (const k in obj) {
+      if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
+      if (typeof obj[k] === "object") findVideos(obj[k], postText, results);
+    }
+    return results;
+  }
+
+  // Progressive (muxed) files: { hd, sd }, either may be null
+  function getProgressiveUrls(video) {
+    return {
+      hd: video.playable_url_quality_hd || video.browser_native_hd_url || null,
+      sd: video.playable_url || video.browser_native_sd_url || null,
+    };
+  }
+
+  // Short side of the original upload, e.g. "720p"
+  function getQuality(video) {
+    const { original_width: width, original_height: height } = video;
+    return width && height ? `${Math.min(width, height)}p` : null;
+  }
+
+  globalThis.SidebyFacebook = {
+    mayHaveVideos,
+    findVideos,
+    getProgressiveUrls,
+    getQuality,
+  };
+})();
@@ -0,0 +1,229 @@
+// Sideby Pass - M3U8 Parser
+// HLS playlist parser (RFC 8216) shared by background.js & watcher.js
+
+(function () {
+  if (globalThis.SidebyM3U8) return;
+
+  // AttributeName=AttributeValue, where quoted strings may contain commas
+  const ATTRIBUTE_PATTERN = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+  function isPlaylist(text) {
+    return typeof text === "string" && text.trimStart().startsWith("#EXTM3U");
+  }
+
+  // Parses an attribute-list into a plain object, unquoting quoted-strings
+  function parseAttributeList(source) {
+    const attrs = {};
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+      const value = match[2].trim();
+      attrs[match[1]] =
+        value.startsWith('"') && value.endsWith('"')
+          ? value.slice(1, -1)
+          : value;
+    }
+    return attrs;
+  }
+
+  // Handles absolute, root-relative ("/x.m3u8") & relative ("x.m3u8") URIs
+  function resolveUri(uri, baseUrl) {
+    try {
+      return new URL(uri, baseUrl).toString();
+    } catch {
+      return null;
+    }
+  }
+
+  function toNumber(value) {
+    if (value === undefined || value === "") return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function parseResolution(value) {
+    const match = /^(\d+)x(\d+)$/i.exec(value || "");
+    if (!match) return { width: null, height: null };
+    return { width: parseInt(match[1]), height: parseInt(match[2]) };
+  }
+
+  // Key formats that mean a DRM license server is involved
+  const DRM_KEY_FORMATS = [
+    [/streamingkeydelivery/i, "FairPlay"],
+    [/edef8ba9-79d6-4ace-a3c8-27dcd51d21ed/i, "Widevine"],
+    [/9a04f079-9840-4286-ab92-e65be0885f95|playready/i, "PlayReady"],
+  ];
+
+  // AES-128 & identity SAMPLE-AES use a plain key the player fetches itself;
+  // skd:// URIs, DRM key formats & SAMPLE-AES-CTR (CENC) need a CDM
+  function getKeyDrm(attrs) {
+    const method = attrs.METHOD || "";
+    if (!method.startsWith("SAMPLE-AES")) return null;
+    if ((attrs.URI || "").startsWith("skd://")) return "FairPlay";
+
+    const format = attrs.KEYFORMAT || "identity";
+    const match = DRM_KEY_FORMATS.find(([pattern]) => pattern.test(format));
+    if (match) return match[1];
+    return method === "SAMPLE-AES-CTR" ? "DRM" : null;
+  }
+
+  function parseMedia(attrs, baseUrl) {
+    return {
+      type: attrs.TYPE || null,
+      groupId: attrs["GROUP-ID"] || null,
+      language: attrs.LANGUAGE || null,
+      name: attrs.NAME || null,
+      default: attrs.DEFAULT === "YES",
+      autoselect: attrs.AUTOSELECT === "YES",
+      forced: attrs.FORCED === "YES",
+      characteristics: attrs.CHARACTERISTICS || null,
+      uri: attrs.URI ? resolveUri(attrs.URI, baseUrl) : null,
+    };
+  }
+
+  function parseVariant(attrs, uri) {
+    const { width, height } = parseResolution(attrs.RESOLUTION);
+    return {
+      url: uri,
+      bandwidth: toNumber(attrs.BANDWIDTH),
+      averageBandwidth: toNumber(attrs["AVERAGE-BANDWIDTH"]),
+      codecs: attrs.CODECS || null,
+      frameRate: toNumber(attrs["FRAME-RATE"]),
+      width,
+      height,
+      // Use the short side so portrait video reads as 720p, not 1280p
+      quality: width && height ? `${Math.min(width, height)}p` : null,
+      audio: attrs.AUDIO || null,
+      video: attrs.VIDEO || null,
+      subtitles: attrs.SUBTITLES || null,
+      closedCaptions:
+        attrs["CLOSED-CAPTIONS"] && attrs["CLOSED-CAPTIONS"] !== "NONE"
+          ? attrs["CLOSED-CAPTIONS"]
+          : null,
+    };
+  }
+
+  // Returns { isMaster, variants, media, segments, duration, ended,
+  // playlistType, live, drm } or null if not a playlist. segments lists a
+  // media playlist's resolved segment URIs. Variants are sorted best first
+  // (resolution, then bandwidth). duration sums a media playlist's #EXTINF
+  // segments; ended is set once #EXT-X-ENDLIST says no more segments will be
+  // added. playlistType is "VOD", "EVENT" or null. Masters don't say whether
+  // they're live, so live is null for them. drm names the key system
+  // ("FairPlay", "Widevine"...) when a key needs one.
+  function parse(text, playlistUrl) {
+    if (!isPlaylist(text)) return null;
+
+    const lines = text.split(/\r?\n/).map((line) => line.trim());
+    const variants = [];
+    const media = [];
+    const segments = [];
+    let pendingVariant = null;
+    let duration = 0;
+    let segmentCount = 0;
+    let ended = false;
+    let playlistType = null;
+    let drm = null;
+
+    for (const line of lines) {
+      if (!line) continue;
+
+      if (line.startsWith("#EXTINF:")) {
+        duration += parseFloat(line.slice(8)) || 0;
+        segmentCount++;
+        continue;
+      }
+
+      if (line === "#EXT-X-ENDLIST") {
+        ended = true;
+        continue;
+      }
+
+      if (
+        line.startsWith("#EXT-X-KEY:") ||
+        line.startsWith("#EXT-X-SESSION-KEY:")
+      ) {
+        const attrs = parseAttributeList(line.slice(line.indexOf(":") + 1));
+        drm = drm || getKeyDrm(attrs);
+        continue;
+      }
+
+      if (line.startsWith("#EXT-X-PLAYLIST-TYPE:")) {
+        playlistType = line.slice(21).trim().toUpperCase();
+        continue;
+      }
+
+      if (line.startsWith("#EXT-X-STREAM-INF:")) {
+        pendingVariant = parseAttributeList(line.slice(18));
+        continue;
+      }
+
+      if (line.startsWith("#EXT-X-MEDIA:")) {
+        media.push(parseMedia(parseAttributeList(line.slice(13)), playlistUrl));
+        continue;
+      }
+
+      if (line.startsWith("#")) continue;
+
+      // First URI line after EXT-X-STREAM-INF belongs to that variant
+      const uri = resolveUri(line, playlistUrl);
+      if (pendingVariant) {
+        if (uri) variants.push(parseVariant(pendingVariant, uri));
+        pendingVariant = null;
+      } else if (uri) {
+        segments.push(uri);
+      }
+    }
+
+    variants.sort((a, b) => {
+      const qa = parseInt(a.quality) || 0;
+      const qb = parseInt(b.quality) || 0;
+      if (qb !== qa) return qb - qa;
+      return (b.bandwidth || 0) - (a.bandwidth || 0);
+    });
+
+    const isMaster = variants.length > 0;
+
+    return {
+      isMaster,
+      variants,
+      media,
+      segments: isMaster ? [] : segments,
+      duration: segmentCount ? Math.round(duration * 1000) / 1000 : null,
+      ended,
+      playlistType,
+      // PLAYLIST-TYPE:VOD promises the list is final even without
+      // #EXT-X-ENDLIST; EVENT & untyped ones keep growing until it appears
+      live: isMaster ? null : playlistType !== "VOD" && !ended,
+      drm,
+    };
+  }
+
+  // Subtitle renditions (EXT-X-MEDIA:TYPE=SUBTITLES) in the given group,
+  // or every group when groupId is null. URIs are media playlists of WebVTT
+  // segments, not subtitle files, hence format "hls".
+  function getSubtitleTracks(playlist, groupId = null) {
+    return playlist.media
+      .filter(
+        (m) =>
+          m.type === "SUBTITLES" &&
+          m.uri &&
+          (groupId === null || m.groupId === groupId)
+      )
+      .map((m) => ({
+        url: m.uri,
+        language: m.language,
+        label: m.name || m.language,
+        kind: "subtitles",
+        forced: m.forced,
+        format: "hls",
+        default: m.default,
+      }));
+  }
+
+  globalThis.SidebyM3U8 = {
+    isPlaylist,
+    parseAttributeList,
+    resolveUri,
+    parse,
+    getSubtitleTracks,
+  };
+})();
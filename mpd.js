@@ -0,0 +1,237 @@
+// Sideby Pass - MPD Parser
+// Minimal MPEG-DASH manifest parser shared by background.js (service workers have no DOMParser) & watcher.js
+
+(function () {
+  if (globalThis.SidebyMPD) return;
+
+  const TAG_PATTERN =
+    /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const ATTR_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const MPD_PATTERN = /<([\w-]+:)?MPD[\s>]/;
+
+  function decodeEntities(value) {
+    return value
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+
+  function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(ATTR_PATTERN)) {
+      attrs[match[1]] = decodeEntities(match[2] ?? match[3]);
+    }
+    return attrs;
+  }
+
+  // Builds a lightweight element tree: { name, attrs, children, text }
+  // Namespace prefixes are dropped, so <mpd:Period> reads as Period
+  function parseXml(text) {
+    const root = { name: "#document", attrs: {}, children: [], text: "" };
+    const stack = [root];
+    const source = text
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<\?[\s\S]*?\?>/g, "");
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+      const [raw, closing, rawName, attrSource, selfClosing] = match;
+      const parent = stack[stack.length - 1];
+      parent.text += source.slice(lastIndex, match.index);
+      lastIndex = match.index + raw.length;
+
+      const name = rawName.replace(/^.*:/, "");
+
+      if (closing) {
+        while (stack.length > 1 && stack.pop().name !== name) {}
+        continue;
+      }
+
+      const node = {
+        name,
+        attrs: parseAttributes(attrSource),
+        children: [],
+        text: "",
+      };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+
+    return root;
+  }
+
+  function children(node, name) {
+    return node.children.filter((c) => c.name === name);
+  }
+
+  function resolveBase(node, base) {
+    const baseUrl = children(node, "BaseURL")[0];
+    const value = baseUrl && decodeEntities(baseUrl.text.trim());
+    if (!value) return base;
+    try {
+      return new URL(value, base).toString();
+    } catch {
+      return base;
+    }
+  }
+
+  // "30000/1001" -> 29.97
+  function parseFrameRate(value) {
+    if (!value) return null;
+    const [num, den] = value.split("/").map(Number);
+    const rate = den ? num / den : num;
+    return Number.isFinite(rate) ? Math.round(rate * 100) / 100 : null;
+  }
+
+  // ISO 8601 durations as used by mediaPresentationDuration ("PT1H2M3.5S")
+  function parseDuration(value) {
+    const match =
+      /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+        value || ""
+      );
+    if (!match) return null;
+    const [, d = 0, h = 0, m = 0, s = 0] = match.map((v) => Number(v) || 0);
+    const seconds = d * 86400 + h * 3600 + m * 60 + s;
+    return seconds || null;
+  }
+
+  const PROTECTION_SCHEMES = [
+    ["edef8ba9-79d6-4ace-a3c8-27dcd51d21ed", "Widevine"],
+    ["9a04f079-9840-4286-ab92-e65be0885f95", "PlayReady"],
+    ["94ce86fb-07ff-4f43-adb8-93d2fa968ca2", "FairPlay"],
+    ["e2719d58-a985-b3c9-781a-b030af78d30e", "ClearKey"],
+  ];
+
+  // Names the key system of the first ContentProtection found anywhere in the
+  // manifest; "DRM" when only the generic mp4protection scheme is declared
+  function getProtection(node) {
+    const schemes = [];
+    const visit = (n) => {
+      if (n.name === "ContentProtection") {
+        schemes.push((n.attrs.schemeIdUri || "").toLowerCase());
+      }
+      n.children.forEach(visit);
+    };
+    visit(node);
+    if (!schemes.length) return null;
+
+    for (const [uuid, name] of PROTECTION_SCHEMES) {
+      if (schemes.some((scheme) => scheme.includes(uuid))) return name;
+    }
+    return "DRM";
+  }
+
+  function toInt(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function isMPD(text) {
+    return typeof text === "string" && MPD_PATTERN.test(text);
+  }
+
+  const SUBTITLE_FORMATS = {
+    "text/vtt": "vtt",
+    "application/ttml+xml": "ttml",
+    "application/x-subrip": "srt",
+  };
+
+  // Sidecar subtitle files (text AdaptationSets with a single BaseURL)
+  function parseSubtitles(set, setBase) {
+    const tracks = [];
+    const mimeType = set.attrs.mimeType || "";
+    const isText =
+      set.attrs.contentType === "text" || mimeType in SUBTITLE_FORMATS;
+    if (!isText) return tracks;
+
+    const label = children(set, "Label")[0]?.text.trim();
+
+    for (const rep of children(set, "Representation")) {
+      const repBase = resolveBase(rep, setBase);
+      if (repBase === setBase) continue;
+
+      const repMime = rep.attrs.mimeType || mimeType;
+      tracks.push({
+        url: repBase,
+        language: set.attrs.lang || null,
+        label: label || set.attrs.lang || null,
+        kind: "subtitles",
+        format: SUBTITLE_FORMATS[repMime] || "vtt",
+      });
+    }
+    return tracks;
+  }
+
+  // Returns { representations, subtitles, duration, live, drm } or null if not
+  // an MPD. Live (type="dynamic") manifests have no overall duration.
+  // Representations are sorted best first (resolution, then bandwidth).
+  function parse(text, manifestUrl) {
+    if (!isMPD(text)) return null;
+
+    const mpd = children(parseXml(text), "MPD")[0];
+    if (!mpd) return null;
+
+    const representations = [];
+    const subtitles = [];
+    const mpdBase = resolveBase(mpd, manifestUrl);
+
+    for (const period of children(mpd, "Period")) {
+      const periodBase = resolveBase(period, mpdBase);
+
+      for (const set of children(period, "AdaptationSet")) {
+        const setBase = resolveBase(set, periodBase);
+        subtitles.push(...parseSubtitles(set, setBase));
+
+        for (const rep of children(set, "Representation")) {
+          const attrs = { ...set.attrs, ...rep.attrs };
+          const width = toInt(attrs.width);
+          const height = toInt(attrs.height);
+          const kind =
+            set.attrs.contentType ||
+            (attrs.mimeType || "").split("/")[0] ||
+            (width || height ? "video" : "");
+
+          if (kind !== "video") continue;
+
+          const repBase = resolveBase(rep, setBase);
+
+          representations.push({
+            id: rep.attrs.id || null,
+            bandwidth: toInt(attrs.bandwidth),
+            width,
+            height,
+            codecs: attrs.codecs || null,
+            frameRate: parseFrameRate(attrs.frameRate),
+            quality:
+              width && height
+                ? `${Math.min(width, height)}p`
+                : height
+                ? `${height}p`
+                : null,
+            // Only set when the representation is a single addressable file
+            url: repBase !== setBase ? repBase : null,
+          });
+        }
+      }
+    }
+
+    representations.sort((a, b) => {
+      const qa = parseInt(a.quality) || 0;
+      const qb = parseInt(b.quality) || 0;
+      if (qb !== qa) return qb - qa;
+      return (b.bandwidth || 0) - (a.bandwidth || 0);
+    });
+
+    return {
+      representations,
+      subtitles,
+      duration: parseDuration(mpd.attrs.mediaPresentationDuration),
+      live: mpd.attrs.type === "dynamic",
+      drm: getProtection(mpd),
+    };
+  }
+
+  globalThis.SidebyMPD = { isMPD, parse };
+})();
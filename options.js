@@ -0,0 +1,105 @@
+// DOM Elements
+const form = document.getElementById("options-form");
+const appBaseUrlInput = document.getElementById("app-base-url");
+const apiBaseUrlInput = document.getElementById("api-base-url");
+const proxyHostInput = document.getElementById("proxy-host");
+const statusLine = document.getElementById("options-status");
+const testConnectionBtn = document.getElementById("test-connection");
+const resetDefaultsBtn = document.getElementById("reset-defaults");
+
+// Helpers
+function showStatus(text, kind) {
+  statusLine.hidden = false;
+  statusLine.textContent = text;
+  statusLine.classList.toggle("is-success", kind === "success");
+  statusLine.classList.toggle("is-error", kind === "error");
+}
+
+function fillForm(config) {
+  appBaseUrlInput.value = config.appBaseUrl;
+  apiBaseUrlInput.value = config.apiBaseUrl;
+  proxyHostInput.value = config.proxyHost;
+}
+
+// Validates every field, marking invalid inputs. Returns null if any fail.
+function readForm() {
+  const fields = [
+    [appBaseUrlInput, SidebyConfig.normalizeBaseUrl],
+    [apiBaseUrlInput, SidebyConfig.normalizeBaseUrl],
+    [proxyHostInput, SidebyConfig.normalizeHost],
+  ];
+
+  const values = {};
+  let firstError = null;
+
+  for (const [input, normalize] of fields) {
+    try {
+      values[input.name] = normalize(input.value);
+      input.removeAttribute("aria-invalid");
+    } catch (err) {
+      input.setAttribute("aria-invalid", "true");
+      const label = input.closest(".field").querySelector(".field__label");
+      firstError = firstError || `${label.textContent}: ${err.message}`;
+    }
+  }
+
+  if (firstError) {
+    showStatus(firstError, "error");
+    return null;
+  }
+  return values;
+}
+
+// Event Handlers
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const values = readForm();
+  if (!values) return;
+
+  try {
+    const saved = await SidebyConfig.saveConfig(values);
+    fillForm(saved);
+    showStatus("Saved.", "success");
+  } catch (err) {
+    showStatus(`Failed to save: ${err.message}`, "error");
+  }
+});
+
+testConnectionBtn.addEventListener("click", async () => {
+  const values = readForm();
+  if (!values) return;
+
+  testConnectionBtn.disabled = true;
+  showStatus(`Contacting ${values.apiBaseUrl}...`);
+
+  try {
+    const res = await fetch(`${values.apiBaseUrl}/api/video/resolve`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ url: "https://example.com/video.mp4" }),
+    });
+    const data = await res.json().catch(() => null);
+
+    if (res.ok && data) {
+      showStatus("Connected. The resolve endpoint is responding.", "success");
+    } else {
+      showStatus(
+        `Server responded with ${res.status}${data ? "" : " (not JSON)"}.`,
+        "error"
+      );
+    }
+  } catch (err) {
+    showStatus(`Could not reach the API: ${err.message}`, "error");
+  } finally {
+    testConnectionBtn.disabled = false;
+  }
+});
+
+resetDefaultsBtn.addEventListener("click", () => {
+  fillForm(SidebyConfig.DEFAULT_CONFIG);
+  showStatus("Defaults restored. Save to apply.");
+});
+
+document.addEventListener("DOMContentLoaded", async () => {
+  fillForm(await SidebyConfig.loadConfig());
+});
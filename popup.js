@@ -1,5 +1,4 @@
-const APP_BASE_URL = "https://sideby.me";
-const API_BASE_URL = "https://sideby.me";
+let config = { ...SidebyConfig.DEFAULT_CONFIG };
 
 // DOM Elements
 const stateLoading = document.getElementById("state-loading");
@@ -13,18 +12,59 @@ const videoList = document.getElementById("video-list");
 const videoCountPill = document.getElementById("video-count-pill");
 const videoKind = document.getElementById("video-kind");
 const videoQuality = document.getElementById("video-quality");
+const videoAd = document.getElementById("video-ad");
+const videoRenditions = document.getElementById("video-renditions");
+const videoStreamInfo = document.getElementById("video-stream-info");
+const videoDiagnostic = document.getElementById("video-diagnostic");
+const qualityField = document.getElementById("quality-field");
+const qualitySelect = document.getElementById("quality-select");
+const subtitleField = document.getElementById("subtitle-field");
+const subtitleSelect = document.getElementById("subtitle-select");
+const startAtField = document.getElementById("start-at-field");
+const startAtToggle = document.getElementById("start-at-toggle");
+const startAtLabel = document.getElementById("start-at-label");
 const pageHost = document.getElementById("page-host");
+const videoDuration = document.getElementById("video-duration");
+const videoExpiry = document.getElementById("video-expiry");
 
 const createRoomBtn = document.getElementById("create-room");
 const copyLinkBtn = document.getElementById("copy-link");
+const appLink = document.getElementById("app-link");
+const roomCard = document.getElementById("room-card");
+const roomUrlText = document.getElementById("room-url");
+const copyRoomBtn = document.getElementById("copy-room");
+const openRoomBtn = document.getElementById("open-room");
+const roomTargets = document.getElementById("room-targets");
+const openOptionsBtn = document.getElementById("open-options");
 
 let detectedVideos = [];
 let selectedIndex = 0;
 let pageInfo = { title: "", pageUrl: "" };
+let activeTabId = null;
+let startPosition = null;
+let positionUrl = null;
+let roomUrl = null;
+let roomVideoUrl = null;
+let openRooms = [];
+
+// Live list state (fed by the background port)
+const videosByKey = new Map();
+const resolvedMeta = new Map();
+const chosenVariants = new Map();
+let selectedKey = null;
+
+const EMPTY_GRACE_MS = 1500;
+const EXPIRY_WARNING_MS = 15 * 60 * 1000;
+const ROOM_API_TIMEOUT_MS = 8000;
+const ROOM_API_FALLBACK_STATUSES = [404, 405, 502, 503, 504];
+const RECONNECT_DELAY_MS = 500;
 
 // Helpers
-function getVideoKind(url) {
+function getVideoKind(url, contentType) {
   if (/\.m3u8(\?|$)/i.test(url)) return "HLS";
+  if (/\.mpd(\?|$)/i.test(url) || /dash\+xml/i.test(contentType || "")) {
+    return "DASH";
+  }
   if (/\.(mp4|m4v)(\?|$)/i.test(url)) return "MP4";
   return "Video";
 }
@@ -46,6 +86,53 @@ function formatSize(bytes) {
   return `${bytes} B`;
 }
 
+function formatBitrate(bps) {
+  if (!bps) return "";
+  if (bps >= 1_000_000) return `${(bps / 1_000_000).toFixed(1)} Mbps`;
+  return `${Math.round(bps / 1_000)} kbps`;
+}
+
+// "avc1.640028,mp4a.40.2" -> "H.264 + AAC"
+function describeCodecs(codecs) {
+  if (!codecs) return "";
+  const names = {
+    avc1: "H.264",
+    avc3: "H.264",
+    hvc1: "HEVC",
+    hev1: "HEVC",
+    av01: "AV1",
+    vp09: "VP9",
+    mp4a: "AAC",
+    "ac-3": "AC-3",
+    "ec-3": "E-AC-3",
+    opus: "Opus",
+  };
+  return codecs
+    .split(",")
+    .map((c) => {
+      const id = c.trim().split(".")[0].toLowerCase();
+      return names[id] || id;
+    })
+    .join(" + ");
+}
+
+// 754 -> "12:34", 3754 -> "1:02:34"
+function formatTime(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// Signed CDN URLs stop working for latecomers to the room
+function formatExpiry(expiresAt) {
+  const minutes = Math.max(1, Math.ceil((expiresAt - Date.now()) / 60_000));
+  return minutes > 90
+    ? `expires in ${Math.round(minutes / 60)} h`
+    : `expires in ${minutes} min`;
+}
+
 function showState(state) {
   stateLoading.hidden = true;
   stateError.hidden = true;
@@ -66,6 +153,11 @@ function updateVideoInfo(index) {
   videoTitle.textContent = title;
   videoTitle.title = title;
 
+  // An invite made for another video doesn't apply to this one
+  if (video.url !== roomVideoUrl) hideRoom();
+
+  videoAd.hidden = !video.ad;
+
   // Show file size as quality indicator
   if (video.size) {
     videoQuality.hidden = false;
@@ -75,10 +167,76 @@ function updateVideoInfo(index) {
     videoQuality.hidden = true;
   }
 
+  // List DASH representations (best first)
+  const renditions = (video.representations || [])
+    .map((r) => r.quality)
+    .filter((q, i, all) => q && all.indexOf(q) === i);
+  if (renditions.length) {
+    videoRenditions.hidden = false;
+    videoRenditions.textContent = `Renditions: ${renditions.join(" · ")}`;
+  } else {
+    videoRenditions.hidden = true;
+  }
+
+  // Stream metadata from HLS variants
+  const streamInfo = [
+    describeCodecs(video.codecs),
+    formatBitrate(video.bitrate),
+    video.frameRate ? `${Math.round(video.frameRate)} fps` : "",
+  ].filter(Boolean);
+  if (streamInfo.length) {
+    videoStreamInfo.hidden = false;
+    videoStreamInfo.textContent = streamInfo.join(" · ");
+  } else {
+    videoStreamInfo.hidden = true;
+  }
+
+  if (video.live) {
+    videoDuration.hidden = false;
+    videoDuration.textContent = " · Live";
+  } else if (video.duration) {
+    videoDuration.hidden = false;
+    videoDuration.textContent = ` · ${formatTime(video.duration)}`;
+  } else {
+    videoDuration.hidden = true;
+  }
+
+  if (video.expiresAt) {
+    videoExpiry.hidden = false;
+    videoExpiry.textContent = ` · ${formatExpiry(video.expiresAt)}`;
+    videoExpiry.classList.toggle(
+      "text-warning",
+      video.expiresAt - Date.now() < EXPIRY_WARNING_MS
+    );
+  } else {
+    videoExpiry.hidden = true;
+  }
+
+  // DRM streams would only make a room nobody can play, so don't offer one
+  createRoomBtn.disabled = !!video.drm;
+  for (const button of roomTargets.querySelectorAll("button")) {
+    button.disabled = !!video.drm;
+  }
+  if (video.drm) {
+    const system = video.drm === "DRM" ? "DRM" : `${video.drm} DRM`;
+    videoDiagnostic.hidden = false;
+    videoDiagnostic.textContent = `Protected by ${system}, so it can't be played in a room.`;
+  } else if (video.fetchError && !(video.variants?.length > 1)) {
+    // Manifest fetch failures; moot once the page's own player gave us variants
+    videoDiagnostic.hidden = false;
+    videoDiagnostic.textContent = video.fetchError;
+  } else {
+    videoDiagnostic.hidden = true;
+  }
+
+  renderQualityOptions(video);
+  renderSubtitleOptions(video.subtitles || []);
+  updateStartPosition(video);
+
   videoUrl.textContent = video.url;
   videoUrl.title = video.url;
   pageHost.textContent = getHost(pageInfo.pageUrl || video.url);
-  videoKind.textContent = getVideoKind(video.url);
+  videoKind.textContent = getVideoKind(video.url, video.contentType);
 
   // Show confidence warning
   const warningEl = document.getElementById("video-warning");
@@ -103,18 +261,108 @@ function updateVideoInfo(index) {
   });
 }
 
+function describeVariant(variant) {
+  const name = variant.quality || (variant.playlist ? "Auto" : "Default");
+  const detail = formatBitrate(variant.bitrate) || formatSize(variant.size);
+  return detail ? `${name} · ${detail}` : name;
+}
+
+function renderQualityOptions(video) {
+  const variants = video.variants || [];
+  qualitySelect.innerHTML = "";
+  qualityField.hidden = variants.length < 2;
+  if (variants.length < 2) return;
+
+  for (const variant of variants) {
+    const option = new Option(describeVariant(variant), variant.url);
+    option.selected = variant.url === video.url;
+    qualitySelect.appendChild(option);
+  }
+}
+
+function renderSubtitleOptions(tracks) {
+  // Keep the chosen track across live re-renders
+  const previousUrl = getSelectedSubtitle()?.url;
+
+  subtitleSelect.innerHTML = "";
+  subtitleField.hidden = !tracks.length;
+  if (!tracks.length) return;
+
+  subtitleSelect.appendChild(new Option("No subtitles", ""));
+  tracks.forEach((track, i) => {
+    const name = track.label || track.language || `Track ${i + 1}`;
+    const suffix =
+      track.language && track.language !== name ? ` (${track.language})` : "";
+    const forced = track.forced ? " [forced]" : "";
+    const option = new Option(`${name}${suffix}${forced}`, String(i));
+    option.dataset.url = track.url;
+    option.selected = track.url === previousUrl;
+    subtitleSelect.appendChild(option);
+  });
+}
+
+// Ask the frame playing this video how far in it is
+async function updateStartPosition(video) {
+  // Live re-renders of the same video keep the user's toggle
+  if (video.url === positionUrl) return;
+  positionUrl = video.url;
+
+  startPosition = null;
+  startAtField.hidden = true;
+  if (!activeTabId || video.live) return;
+
+  let position = null;
+  try {
+    const response = await chrome.tabs.sendMessage(activeTabId, {
+      type: "GET_PLAYBACK_POSITION",
+      url: video.url,
+    });
+    position = response?.position ?? null;
+  } catch (err) {
+    // No frame holds this video
+  }
+
+  // Selection may have changed while waiting
+  if (detectedVideos[selectedIndex]?.url !== video.url) return;
+  if (!position || position < 1) return;
+
+  startPosition = Math.floor(position);
+  startAtLabel.textContent = `Start at ${formatTime(startPosition)}`;
+  startAtToggle.checked = true;
+  startAtField.hidden = false;
+}
+
+function getStartAt() {
+  return startAtToggle.checked ? startPosition : null;
+}
+
+function getSelectedSubtitle() {
+  const option = subtitleSelect.selectedOptions[0];
+  if (!option || !option.dataset.url) return null;
+  const video = detectedVideos[selectedIndex];
+  return video?.subtitles?.find((t) => t.url === option.dataset.url) || null;
+}
+
 function renderVideoList(videos) {
   videoList.innerHTML = "";
 
   videos.forEach((v, i) => {
-    const kind = getVideoKind(v.url);
+    const kind = getVideoKind(v.url, v.contentType);
     const host = getHost(v.url);
     const size = v.size ? formatSize(v.size) : "";
+    const duration = v.duration ? formatTime(v.duration) : "";
+    const expiry = v.expiresAt ? formatExpiry(v.expiresAt) : "";
+    const expirySoon =
+      v.expiresAt && v.expiresAt - Date.now() < EXPIRY_WARNING_MS;
     const quality = v.quality || "";
+    const bitrate = formatBitrate(v.bitrate);
     const source = v.source || "";
+    const variantCount = v.variants?.length || 0;
 
     let confidencePill = "";
-    if (v.confidence === "high") {
+    if (v.ad) {
+      confidencePill = `<span class="pill pill-warning" title="Looks like an ad or preroll">Ad</span>`;
+    } else if (v.confidence === "high") {
       confidencePill = `<span class="pill pill-success" title="${v.confidenceReason}">High</span>`;
     } else if (v.confidence === "medium") {
       confidencePill = `<span class="pill pill-warning" title="${v.confidenceReason}">Medium</span>`;
@@ -129,9 +377,34 @@ function renderVideoList(videos) {
     item.innerHTML = `
       <div class="video-item__meta">
         ${confidencePill}
+        ${v.live ? `<span class="pill pill-danger">LIVE</span>` : ""}
+        ${
+          v.drm
+            ? `<span class="pill pill-danger" title="${v.drm}">DRM</span>`
+            : ""
+        }
         <span class="pill pill-ghost">${kind}</span>
         ${quality ? `<span class="pill pill-ghost">${quality}</span>` : ""}
+        ${bitrate ? `<span class="pill pill-ghost">${bitrate}</span>` : ""}
+        ${
+          variantCount > 1
+            ? `<span class="pill pill-ghost" title="Pick a quality above">${variantCount} qualities</span>`
+            : ""
+        }
+        ${
+          v.subtitles?.length
+            ? `<span class="pill pill-ghost" title="${v.subtitles.length} subtitle track(s)">CC</span>`
+            : ""
+        }
         ${size ? `<span class="pill pill-ghost">${size}</span>` : ""}
+        ${duration ? `<span class="pill pill-ghost">${duration}</span>` : ""}
+        ${
+          expiry
+            ? `<span class="pill ${
+                expirySoon ? "pill-warning" : "pill-ghost"
+              }" title="Signed link">${expiry}</span>`
+            : ""
+        }
         ${source ? `<span class="pill pill-ghost">${source}</span>` : ""}
         <span class="text-xs text-muted-foreground">${host}</span>
       </div>
@@ -140,6 +413,7 @@ function renderVideoList(videos) {
 
     item.addEventListener("click", () => {
       selectedIndex = i;
+      selectedKey = v.key;
       updateVideoInfo(i);
     });
 
@@ -147,19 +421,159 @@ function renderVideoList(videos) {
   });
 }
 
-function buildCreateUrl(videoUrl) {
-  const params = new URLSearchParams();
-  params.set("videoUrl", videoUrl);
-  if (pageInfo.pageUrl) params.set("source", pageInfo.pageUrl);
-  if (pageInfo.title) params.set("title", pageInfo.title);
-  params.set("autoplay", "1");
-  return `${APP_BASE_URL}/create?${params.toString()}`;
+function buildCreateUrl(videoUrl, options = {}) {
+  return SidebyRooms.buildCreateUrl(config.appBaseUrl, {
+    url: videoUrl,
+    title: pageInfo.title,
+    source: pageInfo.pageUrl,
+    ...options,
+  });
+}
+
+// Room creation
+// POST /api/rooms (contract in the README) answers with { roomId, url }; the
+// invite link is shown in the popup so the user can share it without leaving
+// the page. Errors flagged canFallBack mean no room can have been created.
+function fallbackError(message, cause) {
+  const err = new Error(message, { cause });
+  err.canFallBack = true;
+  return err;
+}
+
+async function createRoomViaApi(videoUrl, { subtitle, startAt, live } = {}) {
+  let res;
+  try {
+    res = await fetch(`${config.apiBaseUrl}/api/rooms`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        videoUrl,
+        source: pageInfo.pageUrl || null,
+        title: pageInfo.title || null,
+        subtitle: subtitle
+          ? {
+              url: subtitle.url,
+              format: subtitle.format || null,
+              language: subtitle.language,
+              label: subtitle.label,
+              forced: !!subtitle.forced,
+            }
+          : null,
+        startAt: live ? null : startAt || null,
+        live: !!live,
+      }),
+      signal: AbortSignal.timeout(ROOM_API_TIMEOUT_MS),
+    });
+  } catch (err) {
+    // A timeout may fire after the server already made the room
+    if (err.name === "TimeoutError" || err.name === "AbortError") throw err;
+    throw fallbackError("Room API unreachable", err);
+  }
+
+  // No such endpoint (an API that predates room creation), or a proxy in
+  // front of an API that is down
+  if (ROOM_API_FALLBACK_STATUSES.includes(res.status)) {
+    throw fallbackError(`Server responded with ${res.status}`);
+  }
+  if (!res.ok) throw new Error(`Server responded with ${res.status}`);
+
+  // Not JSON (e.g. an app's index.html): not the room API at all
+  let data;
+  try {
+    data = await res.json();
+  } catch (err) {
+    throw fallbackError("Response is not JSON", err);
+  }
+  if (!data?.url) throw new Error("Response has no room URL");
+  return data.url;
+}
+
+function showRoom(url, videoUrl) {
+  roomUrl = url;
+  roomVideoUrl = videoUrl;
+  roomUrlText.textContent = url;
+  roomUrlText.title = url;
+  roomCard.hidden = false;
+}
+
+function hideRoom() {
+  roomUrl = null;
+  roomVideoUrl = null;
+  roomUrlText.textContent = "";
+  roomCard.hidden = true;
+}
+
+async function copyWithFeedback(button, text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    const originalText = button.textContent;
+    button.textContent = "Copied!";
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
+  } catch (err) {
+    console.error("Failed to copy", err);
+  }
+}
+
+// Open rooms
+// Rooms already running in other tabs can switch to the selected video
+// instead of everyone moving to a new room
+async function loadOpenRooms() {
+  try {
+    const rooms = await SidebyRooms.findRoomTabs(config.appBaseUrl);
+    openRooms = rooms.filter((room) => room.tabId !== activeTabId);
+  } catch (err) {
+    openRooms = [];
+  }
+  renderRoomTargets();
+}
+
+function renderRoomTargets() {
+  roomTargets.innerHTML = "";
+  roomTargets.hidden = !openRooms.length;
+
+  for (const room of openRooms) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "btn btn-outline";
+    button.title = room.name;
+    button.disabled = !!detectedVideos[selectedIndex]?.drm;
+
+    const label = document.createElement("span");
+    label.className = "truncate";
+    label.textContent = `Send to room: ${room.name}`;
+    button.appendChild(label);
+
+    button.addEventListener("click", () => sendToRoom(room));
+    roomTargets.appendChild(button);
+  }
+}
+
+async function sendToRoom(room) {
+  const video = detectedVideos[selectedIndex];
+  if (!video || video.drm) return;
+
+  await SidebyRooms.sendToRoomOrCreate(
+    room,
+    {
+      url: video.url,
+      title: video.title || pageInfo.title,
+      source: pageInfo.pageUrl,
+      subtitle: getSelectedSubtitle(),
+      // Only used if a new room has to be made
+      startAt: getStartAt(),
+      live: video.live,
+    },
+    config.appBaseUrl
+  );
+  window.close();
 }
 
 // Initialization
 async function resolveVideo(video) {
   try {
-    const res = await fetch(`${API_BASE_URL}/api/video/resolve`, {
+    const res = await fetch(`${config.apiBaseUrl}/api/video/resolve`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ url: video.url }),
@@ -167,9 +581,12 @@ async function resolveVideo(video) {
     if (res.ok) {
       const data = await res.json();
       if (data.meta) {
-        video.confidence = data.meta.confidence;
-        video.confidenceReason = data.meta.confidenceReason;
-        video.deliveryType = data.meta.deliveryType;
+        resolvedMeta.set(video.url, {
+          confidence: data.meta.confidence,
+          confidenceReason: data.meta.confidenceReason,
+          deliveryType: data.meta.deliveryType,
+        });
+        refreshVideos();
       }
     }
   } catch (err) {
@@ -177,9 +594,104 @@ async function resolveVideo(video) {
   }
 }
 
+// Sort: High > Medium > Low > undefined, then background score
+function confidenceScore(c) {
+  if (c === "high") return 3;
+  if (c === "medium") return 2;
+  if (c === "low") return 1;
+  return 0;
+}
+
+// Rebuild the list in place, keeping the user's selection
+function refreshVideos() {
+  // Each group shows as its chosen quality variant (default: the lead one)
+  const videos = [...videosByKey.values()].map((group) => {
+    const chosenUrl = chosenVariants.get(group.key);
+    const variant = group.variants?.find((v) => v.url === chosenUrl);
+    const video = variant ? { ...group, ...variant } : group;
+    return {
+      ...video,
+      ...resolvedMeta.get(video.url),
+      rankConfidence: resolvedMeta.get(group.url)?.confidence,
+    };
+  });
+
+  // Rank by the lead variant so switching quality doesn't reorder the list.
+  // Ads go last whatever the resolver thinks of them.
+  videos.sort((a, b) => {
+    if (!!a.ad !== !!b.ad) return a.ad ? 1 : -1;
+    const byConfidence =
+      confidenceScore(b.rankConfidence) - confidenceScore(a.rankConfidence);
+    if (byConfidence) return byConfidence;
+    if (b.score !== a.score) return b.score - a.score;
+    return b.timestamp - a.timestamp;
+  });
+
+  detectedVideos = videos;
+
+  if (!videos.length) {
+    selectedKey = null;
+    videoList.innerHTML = "";
+    if (!stateSuccess.hidden) {
+      errorMessage.textContent = "No video found. Try playing it first.";
+      showState("error");
+    }
+    return;
+  }
+
+  const keptIndex = videos.findIndex((v) => v.key === selectedKey);
+  selectedIndex = keptIndex === -1 ? 0 : keptIndex;
+  selectedKey = videos[selectedIndex].key;
+
+  videoCountPill.textContent = `${videos.length} ${
+    videos.length === 1 ? "video" : "videos"
+  }`;
+
+  renderVideoList(videos);
+  updateVideoInfo(selectedIndex);
+  showState("success");
+}
+
+function ensureResolved(video) {
+  if (resolvedMeta.has(video.url)) return;
+  resolvedMeta.set(video.url, {});
+  resolveVideo(video);
+}
+
+function handlePortMessage(message) {
+  if (message?.type === "VIDEO_ADDED" || message?.type === "VIDEO_UPDATED") {
+    videosByKey.set(message.key, { ...message.video, key: message.key });
+    ensureResolved(message.video);
+  } else if (message?.type === "VIDEO_REMOVED") {
+    videosByKey.delete(message.key);
+  } else if (message?.type === "VIDEOS_CLEARED") {
+    videosByKey.clear();
+  } else {
+    return;
+  }
+
+  refreshVideos();
+}
+
+function connectToBackground(tabId) {
+  const port = chrome.runtime.connect({ name: "popup" });
+  port.onMessage.addListener(handlePortMessage);
+
+  // The service worker may restart; resubscribe for a fresh snapshot
+  port.onDisconnect.addListener(() => {
+    videosByKey.clear();
+    setTimeout(() => connectToBackground(tabId), RECONNECT_DELAY_MS);
+  });
+
+  port.postMessage({ type: "SUBSCRIBE", tabId });
+}
+
 async function init() {
   showState("loading");
 
+  config = await SidebyConfig.loadConfig();
+  appLink.href = config.appBaseUrl;
+
   try {
     const [tab] = await chrome.tabs.query({
       active: true,
@@ -188,12 +700,13 @@ async function init() {
     if (!tab?.id) {
       throw new Error("Couldn't find active tab");
     }
+    activeTabId = tab.id;
 
     // Inject content script (for DOM scanning)
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tab.id, allFrames: true },
-        files: ["contentScript.js"],
+        files: ["config.js", "facebook.js", "contentScript.js"],
       });
     } catch (err) {
       console.warn("Failed to inject content script", err);
@@ -212,6 +725,10 @@ async function init() {
       pageInfo = { title: tab.title || "", pageUrl: tab.url || "" };
     }
 
+    // Subscribe before scanning so nothing the scan finds is missed
+    connectToBackground(tab.id);
+    loadOpenRooms();
+
     // Trigger DOM scan
     try {
       await chrome.tabs.sendMessage(tab.id, { type: "SCAN_DOM" });
@@ -219,59 +736,13 @@ async function init() {
       console.warn("DOM scan failed", err);
     }
 
-    // Small delay to let DOM videos register
-    await new Promise((resolve) => setTimeout(resolve, 300));
-
-    // Get videos from background script
-    chrome.runtime.sendMessage(
-      { type: "GET_VIDEOS", tabId: tab.id },
-      async (response) => {
-        if (chrome.runtime.lastError) {
-          console.warn("Runtime error:", chrome.runtime.lastError.message);
-          errorMessage.textContent = "Could not detect videos.";
-          showState("error");
-          return;
-        }
-
-        let videos = Array.isArray(response?.videos) ? response.videos : [];
-
-        if (!videos.length) {
-          errorMessage.textContent = "No video found. Try playing it first.";
-          showState("error");
-          return;
-        }
-
-        // Render immediately
-        renderVideoList(videos);
-
-        // Asynchronously resolve confidence for each video
-        await Promise.allSettled(videos.map(resolveVideo));
-
-        // Sort: High > Medium > Low > undefined
-        const confidenceScore = (c) => {
-          if (c === "high") return 3;
-          if (c === "medium") return 2;
-          if (c === "low") return 1;
-          return 0;
-        };
-
-        videos.sort(
-          (a, b) =>
-            confidenceScore(b.confidence) - confidenceScore(a.confidence)
-        );
-
-        detectedVideos = videos;
-        selectedIndex = 0;
-
-        videoCountPill.textContent = `${videos.length} ${
-          videos.length === 1 ? "video" : "videos"
-        }`;
-
-        renderVideoList(videos);
-        updateVideoInfo(0);
-        showState("success");
+    // Keep listening after this - lazy-loaded players report in later
+    setTimeout(() => {
+      if (!detectedVideos.length) {
+        errorMessage.textContent = "No video found. Try playing it first.";
+        showState("error");
       }
-    );
+    }, EMPTY_GRACE_MS);
   } catch (err) {
     console.error("Popup init failed:", err);
     errorMessage.textContent = "Something went wrong.";
@@ -280,26 +751,69 @@ async function init() {
 }
 
 // Event Handlers
-createRoomBtn.addEventListener("click", () => {
+createRoomBtn.addEventListener("click", async () => {
   if (!detectedVideos[selectedIndex]) return;
-  const url = buildCreateUrl(detectedVideos[selectedIndex].url);
-  chrome.tabs.create({ url });
-});
-
-copyLinkBtn.addEventListener("click", async () => {
-  if (!detectedVideos[selectedIndex]) return;
-  const rawVideoUrl = detectedVideos[selectedIndex].url;
+  const video = detectedVideos[selectedIndex];
+  if (video.drm) return;
+
+  const options = {
+    subtitle: getSelectedSubtitle(),
+    startAt: getStartAt(),
+    live: video.live,
+  };
+  const originalText = createRoomBtn.textContent;
+  createRoomBtn.disabled = true;
+  createRoomBtn.textContent = "Creating...";
 
   try {
-    await navigator.clipboard.writeText(rawVideoUrl);
-    const originalText = copyLinkBtn.textContent;
-    copyLinkBtn.textContent = "Copied!";
-    setTimeout(() => {
-      copyLinkBtn.textContent = originalText;
-    }, 2000);
+    showRoom(await createRoomViaApi(video.url, options), video.url);
+    createRoomBtn.textContent = originalText;
   } catch (err) {
-    console.error("Failed to copy", err);
+    if (err.canFallBack) {
+      // API down or too old: the /create page does the same in a tab
+      console.warn("Room API unavailable, opening /create instead", err);
+      chrome.tabs.create({ url: buildCreateUrl(video.url, options) });
+      createRoomBtn.textContent = originalText;
+    } else {
+      // The room may exist already, so don't make a second one
+      console.error("Failed to create room", err);
+      createRoomBtn.textContent =
+        err.name === "TimeoutError"
+          ? "No answer from server. Check your rooms."
+          : "Couldn't create room";
+      setTimeout(() => {
+        createRoomBtn.textContent = originalText;
+      }, 2000);
+    }
+  } finally {
+    createRoomBtn.disabled = !!detectedVideos[selectedIndex]?.drm;
   }
 });
 
+copyRoomBtn.addEventListener("click", () => {
+  if (roomUrl) copyWithFeedback(copyRoomBtn, roomUrl);
+});
+
+openRoomBtn.addEventListener("click", () => {
+  if (roomUrl) chrome.tabs.create({ url: roomUrl });
+});
+
+qualitySelect.addEventListener("change", () => {
+  const video = detectedVideos[selectedIndex];
+  if (!video) return;
+
+  chosenVariants.set(video.key, qualitySelect.value);
+  ensureResolved({ url: qualitySelect.value });
+  refreshVideos();
+});
+
+openOptionsBtn.addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
+
+copyLinkBtn.addEventListener("click", () => {
+  if (!detectedVideos[selectedIndex]) return;
+  copyWithFeedback(copyLinkBtn, detectedVideos[selectedIndex].url);
+});
+
 document.addEventListener("DOMContentLoaded", init);
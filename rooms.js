@@ -0,0 +1,106 @@
+// Sideby Pass - Room Tabs
+// Finds open Sideby room tabs, hands them a new video & builds /create links. Shared by background.js & popup.js
+
+(function () {
+  if (globalThis.SidebyRooms) return;
+
+  const ROOM_PATH_PATTERN = /^\/room\/([^/?#]+)/;
+  const TITLE_SUFFIX_PATTERN = /\s*[|·–-]\s*Sideby(\.me)?\s*$/i;
+
+  function getRoomId(tabUrl, appBaseUrl) {
+    if (!tabUrl || !tabUrl.startsWith(`${appBaseUrl}/`)) return null;
+    try {
+      const path = new URL(tabUrl).pathname;
+      const appPath = new URL(appBaseUrl).pathname.replace(/\/+$/, "");
+      const match = ROOM_PATH_PATTERN.exec(path.slice(appPath.length));
+      return match ? decodeURIComponent(match[1]) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Open room tabs on the configured app, most recently used first.
+  // Queried unfiltered: match patterns can't express every appBaseUrl (ports)
+  async function findRoomTabs(appBaseUrl) {
+    const tabs = await chrome.tabs.query({});
+    const rooms = [];
+
+    for (const tab of tabs) {
+      const roomId = getRoomId(tab.url, appBaseUrl);
+      if (!roomId) continue;
+
+      const title = (tab.title || "").replace(TITLE_SUFFIX_PATTERN, "");
+      rooms.push({
+        tabId: tab.id,
+        windowId: tab.windowId,
+        roomId,
+        name: title && title !== tab.url ? title : roomId,
+        lastAccessed: tab.lastAccessed || 0,
+      });
+    }
+
+    return rooms.sort((a, b) => b.lastAccessed - a.lastAccessed);
+  }
+
+  // The room's content script passes the video on to the app, then the room
+  // is brought to the front. Rejects if the tab is gone, not a room anymore or
+  // the app didn't acknowledge the video in time.
+  async function sendToRoom(room, video) {
+    const response = await chrome.tabs.sendMessage(
+      room.tabId,
+      {
+        type: "SET_ROOM_VIDEO",
+        videoUrl: video.url,
+        title: video.title || null,
+        source: video.source || null,
+        subtitle: video.subtitle || null,
+        live: !!video.live,
+      },
+      { frameId: 0 }
+    );
+    if (!response?.ok) throw new Error("Room tab did not accept the video");
+
+    await chrome.tabs.update(room.tabId, { active: true });
+    await chrome.windows.update(room.windowId, { focused: true });
+  }
+
+  // {appBaseUrl}/create link that opens a new room playing the video
+  function buildCreateUrl(appBaseUrl, video) {
+    const { subtitle, startAt, live } = video;
+    const params = new URLSearchParams();
+    params.set("videoUrl", video.url);
+    if (video.source) params.set("source", video.source);
+    if (video.title) params.set("title", video.title);
+    if (subtitle) {
+      params.set("subtitleUrl", subtitle.url);
+      // "hls" tracks are playlists of WebVTT segments, not a single file
+      if (subtitle.format) params.set("subtitleFormat", subtitle.format);
+      if (subtitle.language) params.set("subtitleLang", subtitle.language);
+      if (subtitle.label) params.set("subtitleLabel", subtitle.label);
+      if (subtitle.forced) params.set("subtitleForced", "1");
+    }
+    // Live rooms can't seek, so a start position means nothing there
+    if (live) params.set("live", "1");
+    else if (startAt) params.set("t", String(startAt));
+    params.set("autoplay", "1");
+    return `${appBaseUrl}/create?${params.toString()}`;
+  }
+
+  // If the room never took the video, a new room is started with it instead
+  async function sendToRoomOrCreate(room, video, appBaseUrl) {
+    try {
+      await sendToRoom(room, video);
+    } catch (e) {
+      console.warn("Room didn't accept the video, opening /create instead", e);
+      await chrome.tabs.create({ url: buildCreateUrl(appBaseUrl, video) });
+    }
+  }
+
+  globalThis.SidebyRooms = {
+    getRoomId,
+    findRoomTabs,
+    sendToRoom,
+    sendToRoomOrCreate,
+    buildCreateUrl,
+  };
+})();
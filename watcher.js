@@ -3,13 +3,23 @@
 // Intercepts XHR/Fetch and parses responses based on current site
 
 (function () {
+  // The parsers loaded just before this in the page's world: keep them here
+  // and take them off globalThis, where page scripts could read or replace them
+  const { SidebyM3U8, SidebyMPD, SidebyFacebook } = globalThis;
+  delete globalThis.SidebyM3U8;
+  delete globalThis.SidebyMPD;
+  delete globalThis.SidebyFacebook;
+
   if (window.__sidebyWatcherInjected) return;
   window.__sidebyWatcherInjected = true;
 
   const SIDEBY_EVENT = "sideby:video-found";
   const CLEAR_EVENT = "sideby:clear-videos";
+  const CONFIG_EVENT = "sideby:config";
 
   let lastUrl = document.location.href;
+  // Overridden by the content script with the configured proxy host
+  let proxyHost = "pipe.sideby.me";
   const foundVideos = new Set();
 
   // Utilities
@@ -44,23 +54,29 @@
   }
   setInterval(checkUrlChange, 500);
 
-  function searchKey(obj, key, results = [], extractTitle = false) {
+  window.addEventListener(CONFIG_EVENT, (event) => {
+    if (event.detail?.proxyHost) proxyHost = event.detail.proxyHost;
+  });
+
+  function searchKey(obj, key, results = [], extractMeta = false) {
     if (!obj || typeof obj !== "object") return results;
     for (const k in obj) {
       if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
       if (k === key && obj[k]) {
-        // If extractTitle is true, look for sibling caption.text (Instagram)
-        if (extractTitle && obj.caption?.text && Array.isArray(obj[k])) {
+        // If extractMeta is true, tag items with sibling caption.text & media id (Instagram)
+        if (extractMeta && Array.isArray(obj[k])) {
+          const mediaId = obj.pk || obj.id;
           for (const item of obj[k]) {
             if (item && typeof item === "object") {
-              item._title = obj.caption.text;
+              if (obj.caption?.text) item._title = obj.caption.text;
+              if (mediaId) item._mediaId = String(mediaId);
             }
           }
         }
         results.push(obj[k]);
       }
       if (typeof obj[k] === "object") {
-        searchKey(obj[k], key, results, extractTitle);
+        searchKey(obj[k], key, results, extractMeta);
       }
     }
     return results;
@@ -107,16 +123,93 @@
     }
   }
 
+  // Use the short side so portrait video reads as 720p, not 1280p
+  function qualityFromSize(width, height) {
+    if (width > 0 && height > 0) return `${Math.min(width, height)}p`;
+    return height > 0 ? `${height}p` : null;
+  }
+
   // Detect already-proxied URLs to avoid double-proxying
   function isAlreadyProxied(url) {
     const proxyPatterns = [
       /m3u8-proxy\?url=/i,
-      /pipe\.sideby\.me/i,
+      new RegExp(proxyHost.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i"),
       /\/proxy\/\?url=/i,
     ];
     return proxyPatterns.some((p) => p.test(url));
   }
 
+  // Manifests & the segments they list, plus recent segment fetches, used
+  // to trace blob: videos back to what each MediaSource is actually fed
+  const TRACE_WINDOW_MS = 30_000;
+  const MAX_TRACED_URLS = 1000;
+  const MAX_RECENT_SEGMENTS = 50;
+  const SEGMENT_URL_PATTERN = /\.(ts|m4s|m4v|mp4|m4a|aac|cmfv|cmfa)(\?|#|$)/i;
+  const SEGMENT_CONTENT_TYPE_PATTERN =
+    /^(video\/|audio\/|application\/octet-stream)/i;
+  // Segment or media playlist URL -> the playlist/manifest listing it
+  const manifestByUrl = new Map();
+  // DASH templates can't be expanded here, so segments match by base URL
+  const dashBases = new Map();
+  // Fetched segment bodies -> their URL, for exact matches on append
+  const segmentByBuffer = new WeakMap();
+  const recentSegments = [];
+
+  function rememberManifestUrl(url, manifestUrl) {
+    manifestByUrl.delete(url);
+    manifestByUrl.set(url, manifestUrl);
+    if (manifestByUrl.size > MAX_TRACED_URLS) {
+      manifestByUrl.delete(manifestByUrl.keys().next().value);
+    }
+  }
+
+  function noteHlsPlaylist(url, playlist) {
+    for (const v of playlist.variants) rememberManifestUrl(v.url, url);
+    for (const m of playlist.media) {
+      if (m.uri) rememberManifestUrl(m.uri, url);
+    }
+    for (const segment of playlist.segments) {
+      rememberManifestUrl(segment, url);
+    }
+  }
+
+  function noteDashManifest(url, manifest) {
+    for (const rep of manifest.representations) {
+      if (rep.url) rememberManifestUrl(rep.url, url);
+    }
+    dashBases.set(url.replace(/[?#].*$/, "").replace(/[^/]*$/, ""), url);
+  }
+
+  // Segment -> media playlist -> master; null when no manifest lists it
+  function findSegmentManifest(segmentUrl) {
+    const url = cleanByteRangeUrl(segmentUrl);
+    const playlistUrl = manifestByUrl.get(segmentUrl) || manifestByUrl.get(url);
+    if (playlistUrl) return manifestByUrl.get(playlistUrl) || playlistUrl;
+
+    for (const [base, manifestUrl] of dashBases) {
+      if (url.startsWith(base)) return manifestUrl;
+    }
+    return null;
+  }
+
+  function isSegment(url, contentType) {
+    if (!url || url.startsWith("blob:") || url.startsWith("data:")) {
+      return false;
+    }
+    return (
+      SEGMENT_URL_PATTERN.test(url) ||
+      SEGMENT_CONTENT_TYPE_PATTERN.test(contentType || "")
+    );
+  }
+
+  function noteSegment(url, contentType, buffer) {
+    if (!isSegment(url, contentType)) return;
+    if (buffer instanceof ArrayBuffer) segmentByBuffer.set(buffer, url);
+
+    recentSegments.push({ url, time: Date.now(), claimedBy: null });
+    if (recentSegments.length > MAX_RECENT_SEGMENTS) recentSegments.shift();
+  }
+
   // Site-specific parsers
   const InstagramParser = {
     origins: ["www.instagram.com", "instagram.com", /instagram\.com/],
@@ -139,22 +232,95 @@
             (a, b) => (b.width || 0) - (a.width || 0)
           );
 
+          // One entry per width, grouped by media id for the quality picker
+          const seenWidths = new Set();
           for (const v of sorted) {
-            if (v && v.url) {
-              const cleanUrl = cleanByteRangeUrl(v.url);
-              // Use caption title if extracted, otherwise document.title
-              const title = v._title || document.title;
+            if (!v || !v.url || seenWidths.has(v.width)) continue;
+            seenWidths.add(v.width);
+
+            const cleanUrl = cleanByteRangeUrl(v.url);
+            // Use caption title if extracted, otherwise document.title
+            const title = v._title || document.title;
+            dispatchVideo({
+              url: cleanUrl,
+              quality: qualityFromSize(v.width, v.height),
+              source: "instagram",
+              title: title,
+              groupId: v._mediaId ? `instagram:${v._mediaId}` : null,
+            });
+
+            // Without a media id there is nothing to group by - best only
+            if (!v._mediaId) break;
+          }
+        }
+      } catch (e) {}
+    },
+  };
+
+  const FacebookParser = {
+    origins: [/facebook\.com/],
+
+    onLoad(responseText, url) {
+      if (!SidebyFacebook.mayHaveVideos(responseText)) return;
+
+      // GraphQL streams several JSON payloads, one per line
+      const cleaned = responseText.replace(/^for\s*\(;;\);?/g, "");
+      for (const line of cleaned.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+
+        try {
+          const data = JSON.parse(line);
+
+          for (const { video, title, id } of SidebyFacebook.findVideos(data)) {
+            const groupId = id ? `facebook:${id}` : null;
+            const { hd: hdUrl, sd: sdUrl } =
+              SidebyFacebook.getProgressiveUrls(video);
+
+            // Inline DASH manifests (sometimes URL-encoded) name the HD height
+            let manifest = null;
+            if (typeof video.dash_manifest === "string") {
+              const xml = video.dash_manifest.trimStart().startsWith("<")
+                ? video.dash_manifest
+                : decodeURIComponent(video.dash_manifest.replace(/\+/g, " "));
+              manifest = SidebyMPD.parse(xml, video.dash_manifest_url || url);
+            }
+
+            const hdQuality =
+              manifest?.representations[0]?.quality ||
+              qualityFromSize(video.original_width, video.original_height);
+            const duration =
+              video.playable_duration_in_ms / 1000 ||
+              video.length_in_second ||
+              manifest?.duration ||
+              null;
+
+            const common = {
+              source: "facebook",
+              title: title || document.title,
+              groupId: groupId,
+              duration: duration,
+            };
+
+            // HD progressive first; without an id there's nothing to group by
+            if (hdUrl) {
+              dispatchVideo({ url: hdUrl, quality: hdQuality, ...common });
+            }
+            if (sdUrl && sdUrl !== hdUrl && (groupId || !hdUrl)) {
+              dispatchVideo({ url: sdUrl, quality: null, ...common });
+            }
+
+            // Progressive files are muxed; the DASH manifest is the fallback
+            if (video.dash_manifest_url && (groupId || (!hdUrl && !sdUrl))) {
               dispatchVideo({
-                url: cleanUrl,
-                quality: v.width ? `${v.width}p` : null,
-                source: "instagram",
-                title: title,
+                url: video.dash_manifest_url,
+                quality: hdQuality,
+                playlist: true,
+                ...common,
               });
-              break; // Only take best quality
             }
           }
-        }
-      } catch (e) {}
+        } catch (e) {}
+      }
     },
   };
 
@@ -187,11 +353,10 @@
           const best = mp4Variants[0];
 
           // Extract quality from URL (e.g., /avc1/720x1280/)
-          let quality = null;
           const match = best.url.match(/avc1\/(\d+)x(\d+)/);
-          if (match) {
-            quality = `${Math.min(parseInt(match[1]), parseInt(match[2]))}p`;
-          }
+          const quality = match
+            ? qualityFromSize(parseInt(match[1]), parseInt(match[2]))
+            : null;
 
           dispatchVideo({
             url: best.url,
@@ -204,6 +369,192 @@
     },
   };
 
+  // Posts carry their video under secure_media (or media) as reddit_video;
+  // crossposts nest the original post under crosspost_parent_list
+  function findRedditVideos(obj, results = []) {
+    if (!obj || typeof obj !== "object") return results;
+
+    const video =
+      obj.secure_media?.reddit_video || obj.media?.reddit_video || null;
+    if (video) {
+      results.push({ video, title: obj.title, id: obj.name || obj.id });
+    }
+
+    for (const k in obj) {
+      if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
+      if (k === "secure_media" || k === "media") continue;
+      if (typeof obj[k] === "object") findRedditVideos(obj[k], results);
+    }
+    return results;
+  }
+
+  const RedditParser = {
+    origins: [/reddit\.com/],
+
+    onLoad(responseText, url) {
+      if (!responseText.includes("reddit_video")) return;
+
+      try {
+        const data = JSON.parse(responseText);
+
+        for (const { video, title, id } of findRedditVideos(data)) {
+          // v.redd.it DASH keeps audio in a separate track & fallback_url is
+          // video-only, so the HLS playlist (audio muxed in) comes first
+          const streamUrl = video.hls_url || video.dash_url;
+          const videoUrl = streamUrl || video.fallback_url;
+          if (!videoUrl) continue;
+
+          const { width, height } = video;
+          dispatchVideo({
+            url: videoUrl,
+            quality: qualityFromSize(width, height),
+            source: "reddit",
+            title: title || document.title,
+            playlist: !!streamUrl,
+            // Playlists share the URL the player loads, so its variants join
+            groupId: streamUrl || (id ? `reddit:${id}` : null),
+            duration: video.duration || null,
+          });
+        }
+      } catch (e) {}
+    },
+  };
+
+  // Twitch
+  // The player fetches playback access tokens over GQL & builds signed usher
+  // URLs from them. Titles come from metadata queries that may arrive in the
+  // same batch or earlier, so they're remembered per VOD, channel & clip.
+  const TWITCH_USHER = "https://usher.ttvnw.net";
+  const twitchTitles = new Map();
+
+  function rememberTwitchTitles(obj) {
+    if (!obj || typeof obj !== "object") return;
+
+    if (obj.__typename === "Video" && obj.id && obj.title) {
+      twitchTitles.set(`vod:${obj.id}`, obj.title);
+    } else if (obj.__typename === "Clip" && obj.title) {
+      if (obj.slug) twitchTitles.set(`clip:${obj.slug}`, obj.title);
+      if (obj.id) twitchTitles.set(`clip:${obj.id}`, obj.title);
+    } else if (obj.__typename === "User" && obj.login) {
+      const title = obj.broadcastSettings?.title;
+      if (title) twitchTitles.set(`live:${obj.login.toLowerCase()}`, title);
+    }
+
+    for (const k in obj) {
+      if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
+      if (typeof obj[k] === "object") rememberTwitchTitles(obj[k]);
+    }
+  }
+
+  function dispatchTwitchClip(clip) {
+    const { signature, value } = clip.playbackAccessToken;
+    const qualities = clip.videoQualities || clip.assets?.[0]?.videoQualities;
+    if (!signature || !value || !Array.isArray(qualities)) return;
+
+    const slug = clip.slug || clip.id;
+    const title =
+      clip.title || twitchTitles.get(`clip:${slug}`) || document.title;
+
+    // "1080", "720"... highest first
+    const sorted = [...qualities].sort(
+      (a, b) => (parseInt(b?.quality) || 0) - (parseInt(a?.quality) || 0)
+    );
+    for (const q of sorted) {
+      if (!q?.sourceURL) continue;
+
+      const clipUrl = new URL(q.sourceURL);
+      clipUrl.searchParams.set("sig", signature);
+      clipUrl.searchParams.set("token", value);
+
+      dispatchVideo({
+        url: clipUrl.toString(),
+        quality: qualityFromSize(null, parseInt(q.quality)),
+        frameRate: q.frameRate || null,
+        source: "twitch",
+        title: title,
+        groupId: `twitch:clip:${slug}`,
+      });
+    }
+  }
+
+  function dispatchTwitchPlaylist(accessToken, live) {
+    const { signature, value } = accessToken;
+    if (!signature || !value) return;
+
+    // The token value is JSON naming the VOD or channel it was issued for
+    let token;
+    try {
+      token = JSON.parse(value);
+    } catch (e) {
+      return;
+    }
+
+    const params = new URLSearchParams({
+      sig: signature,
+      token: value,
+      allow_source: "true",
+      allow_audio_only: "true",
+      playlist_include_framerate: "true",
+      player: "twitchweb",
+    });
+
+    let playlistUrl;
+    let titleKey;
+    if (live) {
+      if (!token.channel) return;
+      const login = String(token.channel).toLowerCase();
+      playlistUrl = `${TWITCH_USHER}/api/channel/hls/${encodeURIComponent(
+        login
+      )}.m3u8?${params}`;
+      titleKey = `live:${login}`;
+    } else {
+      if (!token.vod_id) return;
+      playlistUrl = `${TWITCH_USHER}/vod/${token.vod_id}.m3u8?${params}`;
+      titleKey = `vod:${token.vod_id}`;
+    }
+
+    dispatchVideo({
+      url: playlistUrl,
+      source: "twitch",
+      title: twitchTitles.get(titleKey) || document.title,
+      playlist: true,
+      live: live,
+      groupId: playlistUrl,
+    });
+  }
+
+  const TwitchParser = {
+    origins: [/twitch\.tv/],
+
+    onLoad(responseText, url) {
+      try {
+        if (!String(url || "").includes("gql.twitch.tv")) return;
+
+        const data = JSON.parse(responseText);
+        // Queries are batched: the response is an array of { data }
+        const responses = Array.isArray(data) ? data : [data];
+
+        for (const response of responses) rememberTwitchTitles(response);
+        if (!/playbackAccessToken/i.test(responseText)) return;
+
+        for (const response of responses) {
+          const result = response?.data;
+          if (!result) continue;
+
+          if (result.clip?.playbackAccessToken) {
+            dispatchTwitchClip(result.clip);
+          }
+          if (result.videoPlaybackAccessToken) {
+            dispatchTwitchPlaylist(result.videoPlaybackAccessToken, false);
+          }
+          if (result.streamPlaybackAccessToken) {
+            dispatchTwitchPlaylist(result.streamPlaybackAccessToken, true);
+          }
+        }
+      } catch (e) {}
+    },
+  };
+
   const VimeoParser = {
     origins: [/vimeo\.com/],
 
@@ -215,6 +566,20 @@
         const title =
           document.querySelector("#main main h1")?.innerText || document.title;
 
+        // Progressive files & HLS CDNs of one config are one video
+        const groupId = `vimeo:${data?.video?.id || url}`;
+
+        // Text tracks use player-relative URLs ("/texttrack/...")
+        const subtitles = (data?.request?.text_tracks || [])
+          .filter((t) => t && t.url)
+          .map((t) => ({
+            url: new URL(t.url, url).toString(),
+            language: t.lang || null,
+            label: t.label || t.lang || null,
+            kind: t.kind === "captions" ? "captions" : "subtitles",
+            format: "vtt",
+          }));
+
         // Check progressive files first
         const progressive = data?.request?.files?.progressive;
         if (progressive && progressive.length) {
@@ -225,9 +590,11 @@
           for (const p of sorted) {
             dispatchVideo({
               url: p.url,
-              quality: p.width ? `${p.width}p` : null,
+              quality: qualityFromSize(p.width, p.height),
               source: "vimeo",
               title: title,
+              subtitles: subtitles,
+              groupId: groupId,
             });
           }
           return;
@@ -241,10 +608,15 @@
             if (cdnUrl && !cdnUrl.includes("cme-media.vimeocdn.com")) {
               dispatchVideo({
                 url: cdnUrl.replace(/\/subtitles\/.*\//, "/"),
-                quality: data?.video?.height ? `${data.video.height}p` : null,
+                quality: qualityFromSize(
+                  data?.video?.width,
+                  data?.video?.height
+                ),
                 source: "vimeo",
                 title: title,
                 playlist: true,
+                subtitles: subtitles,
+                groupId: groupId,
               });
             }
           }
@@ -253,71 +625,344 @@
     },
   };
 
-  const HLSParser = {
-    origins: [], // Matches all sites
+  // Player metadata: { title, duration, qualities: { auto: [...], "720": [...] } }
+  // where each entry is { type, url }. "auto" holds the adaptive HLS playlist.
+  const DailymotionParser = {
+    origins: [/dailymotion\.com/],
 
     onLoad(responseText, url) {
-      if (!responseText.includes("#EXTM3U")) return;
-      if (!url.includes(".m3u8")) return;
+      try {
+        const requestUrl = String(url || "");
+        if (!requestUrl.includes("/player/metadata/")) return;
 
+        const data = JSON.parse(responseText);
+        if (!data?.qualities) return;
+
+        const title = data.title || document.title;
+        const groupId = `dailymotion:${data.id || requestUrl}`;
+        const duration = data.duration || null;
+
+        for (const entry of data.qualities.auto || []) {
+          if (!entry?.url || !entry.type?.includes("mpegURL")) continue;
+          dispatchVideo({
+            url: entry.url,
+            source: "dailymotion",
+            title: title,
+            playlist: true,
+            groupId: groupId,
+            duration: duration,
+          });
+        }
+
+        // Older embeds still list progressive MP4s per height
+        const heights = Object.keys(data.qualities)
+          .filter((key) => parseInt(key))
+          .sort((a, b) => parseInt(b) - parseInt(a));
+        for (const height of heights) {
+          for (const entry of data.qualities[height] || []) {
+            if (!entry?.url || entry.type !== "video/mp4") continue;
+            dispatchVideo({
+              url: entry.url,
+              quality: qualityFromSize(null, parseInt(height)),
+              source: "dailymotion",
+              title: title,
+              groupId: groupId,
+              duration: duration,
+            });
+          }
+        }
+      } catch (e) {}
+    },
+  };
+
+  // ajax.streamable.com/videos/<code>: { title, files: { mp4, "mp4-mobile" } }
+  const StreamableParser = {
+    origins: [/streamable\.com/],
+
+    onLoad(responseText, url) {
       try {
-        const title = document.title;
-        const variants = [];
+        const requestUrl = String(url || "");
+        if (!requestUrl.includes("/videos/")) return;
 
-        // Parse master playlist
-        if (responseText.includes("#EXT-X-STREAM-INF:")) {
-          const segments = responseText.split("#EXT-X-STREAM-INF:");
+        const data = JSON.parse(responseText);
+        if (!data?.files) return;
 
-          for (const segment of segments) {
-            if (!segment.trim()) continue;
+        const files = Object.values(data.files)
+          .filter((f) => f && f.url)
+          .sort((a, b) => (b.height || 0) - (a.height || 0));
 
-            let quality = null;
-            let variantUrl = null;
+        for (const file of files) {
+          const { width, height } = file;
+          dispatchVideo({
+            // Files are protocol-relative ("//cdn-cf-east.streamable.com/...")
+            url: new URL(file.url, document.location.href).toString(),
+            quality: qualityFromSize(width, height),
+            bitrate: file.bitrate || null,
+            source: "streamable",
+            title: data.title || document.title,
+            groupId: `streamable:${data.shortcode || requestUrl}`,
+            duration: file.duration || null,
+          });
+        }
+      } catch (e) {}
+    },
+  };
 
-            const parts = segment.split(/[\s,\n]+/);
-            for (const part of parts) {
-              if (part.includes("RESOLUTION=")) {
-                const res = part.split("=")[1];
-                if (res) {
-                  quality = res.split("x")[1] + "p";
-                }
-              }
-              // Skip comment lines when looking for URLs
-              if (
-                !part.startsWith("#") &&
-                (part.includes(".m3u8") || part.match(/^https?:\/\//))
-              ) {
-                variantUrl = part.trim();
-              }
-            }
+  // VODs: /api/v1/video/<uuid> -> { source, livestream: { session_title } }
+  // Clips: /api/v2/clips/<id> -> { clip: { title, video_url, clip_url } }
+  const KickParser = {
+    origins: [/kick\.com/],
 
-            if (variantUrl) {
-              // Make absolute URL if relative
-              if (!variantUrl.startsWith("http")) {
-                const baseMatch = url.match(/(.+\/)[^\/]+\.m3u8/i);
-                if (baseMatch) {
-                  variantUrl = baseMatch[1] + variantUrl;
-                }
-              }
+    onLoad(responseText, url) {
+      try {
+        const requestUrl = String(url || "");
+        if (!requestUrl.includes("/api/")) return;
 
-              variants.push({ url: variantUrl, quality });
-            }
+        const data = JSON.parse(responseText);
+
+        if (requestUrl.includes("/video/") && data?.source) {
+          const session = data.livestream || {};
+          dispatchVideo({
+            url: data.source,
+            source: "kick",
+            title: session.session_title || document.title,
+            playlist: data.source.includes(".m3u8"),
+            groupId: data.source,
+            // Livestream duration is in milliseconds
+            duration: session.duration ? session.duration / 1000 : null,
+          });
+          return;
+        }
+
+        const clip = data?.clip;
+        if (requestUrl.includes("/clips/") && clip) {
+          const clipUrl = clip.video_url || clip.clip_url;
+          if (!clipUrl) return;
+
+          const isPlaylist = clipUrl.includes(".m3u8");
+          dispatchVideo({
+            url: clipUrl,
+            source: "kick",
+            title: clip.title || document.title,
+            playlist: isPlaylist,
+            groupId: isPlaylist ? clipUrl : `kick:clip:${clip.id}`,
+            duration: clip.duration || null,
+          });
+        }
+      } catch (e) {}
+    },
+  };
+
+  // Fediverse
+  // Mastodon & PeerTube run on any domain, so their parsers match every site
+  // & only trust JSON responses from their own API endpoints that also have
+  // the expected shape. Any of the three missing means it's someone else's API.
+
+  // Bluesky post views embed { $type: "app.bsky.embed.video#view", playlist }
+  // directly or as the media of a recordWithMedia embed
+  function findBlueskyVideos(obj, text = null, results = []) {
+    if (!obj || typeof obj !== "object") return results;
+
+    const postText = obj.record?.text || text;
+    if (obj.$type === "app.bsky.embed.video#view" && obj.playlist) {
+      results.push({ video: obj, title: postText });
+    }
+
+    for (const k in obj) {
+      if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
+      if (typeof obj[k] === "object") {
+        findBlueskyVideos(obj[k], postText, results);
+      }
+    }
+    return results;
+  }
+
+  const BlueskyParser = {
+    origins: [/bsky\.app/],
+
+    onLoad(responseText, url) {
+      if (!responseText.includes("app.bsky.embed.video")) return;
+
+      try {
+        const data = JSON.parse(responseText);
+
+        for (const { video, title } of findBlueskyVideos(data)) {
+          dispatchVideo({
+            url: video.playlist,
+            source: "bluesky",
+            title: title || video.alt || document.title,
+            playlist: true,
+            // The player loads this master, so its variants join the entry
+            groupId: video.playlist,
+          });
+        }
+      } catch (e) {}
+    },
+  };
+
+  // Status content is HTML ("<p>text</p>")
+  function htmlToText(html) {
+    if (!html) return "";
+    try {
+      const doc = new DOMParser().parseFromString(html, "text/html");
+      return doc.body.textContent.trim();
+    } catch (e) {
+      return "";
+    }
+  }
+
+  // Statuses (timelines, threads, notifications, reblogs) anywhere in the
+  // response that carry media_attachments
+  function findMastodonStatuses(obj, results = []) {
+    if (!obj || typeof obj !== "object") return results;
+
+    if (
+      Array.isArray(obj.media_attachments) &&
+      obj.media_attachments.length &&
+      typeof obj.uri === "string" &&
+      typeof obj.account?.acct === "string"
+    ) {
+      results.push(obj);
+    }
+
+    for (const k in obj) {
+      if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
+      if (k === "media_attachments") continue;
+      if (typeof obj[k] === "object") findMastodonStatuses(obj[k], results);
+    }
+    return results;
+  }
+
+  // Endpoints answering with statuses (or notifications & search results
+  // holding them)
+  const MASTODON_STATUS_PATTERN =
+    /\/api\/(v1\/(statuses|timelines\/|accounts\/[^/?#]+\/statuses|notifications|bookmarks|favourites|trends\/statuses)|v2\/search)/;
+
+  const MastodonParser = {
+    origins: [], // Self-hosted instances
+
+    onLoad(responseText, url, contentType) {
+      if (!MASTODON_STATUS_PATTERN.test(String(url || ""))) return;
+      if (!contentType?.includes("json")) return;
+      if (!responseText.includes("media_attachments")) return;
+
+      try {
+        const data = JSON.parse(responseText);
+
+        for (const status of findMastodonStatuses(data)) {
+          const text =
+            htmlToText(status.content) || status.spoiler_text || null;
+
+          for (const media of status.media_attachments) {
+            if (media?.type !== "video" && media?.type !== "gifv") continue;
+            if (!media.url) continue;
+
+            const original = media.meta?.original || {};
+            const { width, height } = original;
+            dispatchVideo({
+              url: media.url,
+              quality: qualityFromSize(width, height),
+              bitrate: original.bitrate || null,
+              source: "mastodon",
+              title: text || media.description || document.title,
+              duration: original.duration || null,
+            });
           }
+        }
+      } catch (e) {}
+    },
+  };
+
+  // /api/v1/videos/:id: web video files & HLS streaming playlists (whose
+  // files are fragmented MP4s), each file tagged with its resolution
+  const PEERTUBE_VIDEO_PATTERN = /\/api\/v1\/videos\/[^/?#]+(?:[?#]|$)/;
+
+  const PeerTubeParser = {
+    origins: [], // Self-hosted instances
 
-          // Sort by quality and dispatch best
-          variants.sort((a, b) => {
-            const qa = parseInt(a.quality) || 0;
-            const qb = parseInt(b.quality) || 0;
-            return qb - qa;
+    onLoad(responseText, url, contentType) {
+      if (!PEERTUBE_VIDEO_PATTERN.test(String(url || ""))) return;
+      if (!contentType?.includes("json")) return;
+
+      try {
+        const data = JSON.parse(responseText);
+        // Video details always list both, even when empty
+        if (!data?.uuid || !Array.isArray(data.streamingPlaylists)) return;
+        if (!Array.isArray(data.files)) return;
+
+        const playlists = (data.streamingPlaylists || []).filter(
+          (p) => p && p.playlistUrl
+        );
+        const files = [
+          ...(data.files || []),
+          ...(data.streamingPlaylists || []).flatMap((p) => p?.files || []),
+        ]
+          // Resolution 0 is the audio-only rendition
+          .filter((f) => f && f.fileUrl && f.resolution?.id > 0)
+          .sort((a, b) => b.resolution.id - a.resolution.id);
+
+        const title = data.name || document.title;
+        // Files join the HLS master so the player's variants share one entry
+        const groupId = playlists[0]?.playlistUrl || `peertube:${data.uuid}`;
+        const duration = data.isLive ? null : data.duration || null;
+
+        for (const playlist of playlists) {
+          dispatchVideo({
+            url: playlist.playlistUrl,
+            quality: qualityFromSize(null, files[0]?.resolution?.id),
+            source: "peertube",
+            title: title,
+            playlist: true,
+            live: !!data.isLive,
+            groupId: groupId,
+            duration: duration,
           });
+        }
 
-          for (const v of variants) {
+        for (const file of files) {
+          dispatchVideo({
+            url: file.fileUrl,
+            quality: qualityFromSize(null, file.resolution?.id),
+            frameRate: file.fps || null,
+            source: "peertube",
+            title: title,
+            groupId: groupId,
+            duration: duration,
+          });
+        }
+      } catch (e) {}
+    },
+  };
+
+  const HLSParser = {
+    origins: [], // Matches all sites
+
+    onLoad(responseText, url) {
+      if (!SidebyM3U8.isPlaylist(responseText)) return;
+      if (!url.includes(".m3u8")) return;
+
+      try {
+        const title = document.title;
+        const playlist = SidebyM3U8.parse(responseText, url);
+        noteHlsPlaylist(url, playlist);
+
+        if (playlist.isMaster) {
+          // Variants arrive sorted best first
+          for (const v of playlist.variants) {
             dispatchVideo({
               url: v.url,
               quality: v.quality,
+              bitrate: v.averageBandwidth || v.bandwidth,
+              codecs: v.codecs,
+              frameRate: v.frameRate,
               source: "hls",
               title: title,
               playlist: true,
+              subtitles: v.subtitles
+                ? SidebyM3U8.getSubtitleTracks(playlist, v.subtitles)
+                : [],
+              groupId: url,
+              drm: playlist.drm,
             });
           }
         } else {
@@ -327,6 +972,62 @@
             source: "hls",
             title: title,
             playlist: true,
+            live: playlist.live,
+            drm: playlist.drm,
+          });
+        }
+      } catch (e) {}
+    },
+  };
+
+  const DASHParser = {
+    origins: [], // Matches all sites
+
+    onLoad(responseText, url) {
+      if (!SidebyMPD.isMPD(responseText)) return;
+
+      try {
+        const manifest = SidebyMPD.parse(responseText, url);
+        if (!manifest || !manifest.representations.length) return;
+        noteDashManifest(url, manifest);
+
+        dispatchVideo({
+          url: url,
+          quality: manifest.representations[0].quality,
+          source: "dash",
+          title: document.title,
+          playlist: true,
+          representations: manifest.representations,
+          subtitles: manifest.subtitles,
+          live: manifest.live,
+          drm: manifest.drm,
+        });
+      } catch (e) {}
+    },
+  };
+
+  // VAST/VMAP ad responses (IMA & co). Creatives are reported as ads, so the
+  // background can flag them once the page starts playing one.
+  const VAST_PATTERN = /<([\w-]+:)?(VAST|VMAP)[\s>]/;
+  const MEDIA_FILE_PATTERN =
+    /<MediaFile\b[^>]*>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)\s*(?:\]\]>)?\s*<\/MediaFile>/gi;
+
+  const VASTParser = {
+    origins: [], // Ads are served on every site
+
+    onLoad(responseText, url) {
+      if (!VAST_PATTERN.test(responseText)) return;
+
+      try {
+        for (const match of responseText.matchAll(MEDIA_FILE_PATTERN)) {
+          const mediaUrl = match[1].replace(/&amp;/g, "&");
+          if (!isValidUrl(mediaUrl)) continue;
+
+          dispatchVideo({
+            url: mediaUrl,
+            source: "vast",
+            title: "Advertisement",
+            ad: true,
           });
         }
       } catch (e) {}
@@ -355,7 +1056,7 @@
           for (const value of values) {
             if (
               typeof value === "string" &&
-              value.match(/\.(mp4|m3u8)(\?|$)/i)
+              value.match(/\.(mp4|m3u8|mpd)(\?|$)/i)
             ) {
               // Skip segments and byte-range URLs
               if (value.includes("bytestart=") || value.includes("byteend="))
@@ -377,9 +1078,20 @@
   // Order matters - site-specific first, then generic
   const parsers = [
     InstagramParser,
+    FacebookParser,
     TwitterParser,
+    RedditParser,
+    TwitchParser,
     VimeoParser,
+    DailymotionParser,
+    StreamableParser,
+    KickParser,
+    BlueskyParser,
+    MastodonParser,
+    PeerTubeParser,
     HLSParser,
+    DASHParser,
+    VASTParser,
     GenericParser,
   ];
 
@@ -401,6 +1113,19 @@
           fullUrl = document.location.origin + fullUrl;
         }
 
+        // Binary responses (segments) can't be read as text
+        if (
+          this.responseType === "arraybuffer" ||
+          this.responseType === "blob"
+        ) {
+          noteSegment(
+            fullUrl,
+            this.getResponseHeader("content-type"),
+            this.responseType === "arraybuffer" ? this.response : null
+          );
+          return;
+        }
+
         let responseText = "";
         try {
           responseText = this.responseText;
@@ -421,7 +1146,11 @@
               return hostname === o || hostname.includes(o);
             })
           ) {
-            parser.onLoad(responseText, fullUrl);
+            parser.onLoad(
+              responseText,
+              fullUrl,
+              this.getResponseHeader("content-type") || ""
+            );
           }
         }
       } catch (e) {}
@@ -442,10 +1171,13 @@
         response.url || (typeof args[0] === "string" ? args[0] : args[0]?.url);
 
       const contentType = response.headers.get("content-type") || "";
+      noteSegment(url, contentType);
+
       if (
         contentType.includes("json") ||
         contentType.includes("text") ||
-        contentType.includes("mpegurl")
+        contentType.includes("mpegurl") ||
+        contentType.includes("xml") // DASH manifests, VAST/VMAP
       ) {
         clone
           .text()
@@ -463,7 +1195,7 @@
                   return hostname === o || hostname.includes(o);
                 })
               ) {
-                parser.onLoad(text, url);
+                parser.onLoad(text, url, contentType);
               }
             }
           })
@@ -474,5 +1206,272 @@
     return response;
   };
 
+  // Players reading fetched segments as ArrayBuffers get the exact body
+  // mapped to its URL, so an append of that buffer names its segment
+  const originalArrayBuffer = Response.prototype.arrayBuffer;
+  Response.prototype.arrayBuffer = function () {
+    const url = this.url;
+    const contentType = this.headers.get("content-type");
+    return originalArrayBuffer.apply(this, arguments).then((buffer) => {
+      try {
+        if (isSegment(url, contentType)) segmentByBuffer.set(buffer, url);
+      } catch (e) {}
+      return buffer;
+    });
+  };
+
+  // MediaSource tracing
+  // MSE players (hls.js, shaka, dash.js) put a blob: URL on the <video>.
+  // Each append to a video SourceBuffer is tied to a segment: the appended
+  // bytes themselves when the player didn't transmux them, otherwise the
+  // segments fetched since that buffer's previous append. The segment is
+  // then traced to the manifest listing it. Ambiguous or unlisted segments
+  // aren't reported, so a second player on the page can't be mistaken for it.
+  const mediaSourceState = new WeakMap();
+  const mediaSourceByBlob = new Map();
+  const sourceBufferState = new WeakMap();
+
+  function getMediaSourceState(mediaSource) {
+    if (!mediaSourceState.has(mediaSource)) {
+      mediaSourceState.set(mediaSource, {
+        blobUrl: null,
+        reported: false,
+        reportedUrl: null,
+        drm: null,
+      });
+    }
+    return mediaSourceState.get(mediaSource);
+  }
+
+  function findMediaSourceVideo(mediaSource, blobUrl) {
+    for (const video of document.querySelectorAll("video")) {
+      if (video.srcObject === mediaSource) return video;
+      if (blobUrl && (video.src === blobUrl || video.currentSrc === blobUrl)) {
+        return video;
+      }
+    }
+    return null;
+  }
+
+  // Byte-range requests of one file collapse back to that file
+  function segmentSourceUrl(url) {
+    const cleaned = cleanByteRangeUrl(url).replace(/[?&]range=[\d-]+/i, "");
+    if (
+      /[_\-/](seg|segment|frag|fragment|chunk|part)[_\-]?\d+/i.test(cleaned)
+    ) {
+      return null;
+    }
+    return /\.(mp4|m4v)(\?|#|$)/i.test(cleaned) ? cleaned : null;
+  }
+
+  // What a segment belongs to: its manifest, or the file it's a range of
+  function traceSegment(url) {
+    const manifestUrl = findSegmentManifest(url);
+    if (manifestUrl) return { url: manifestUrl, playlist: true };
+    const fileUrl = segmentSourceUrl(url);
+    return fileUrl ? { url: fileUrl, playlist: false } : null;
+  }
+
+  // Once a MediaSource is known to play a source, every unclaimed segment of
+  // that source is its too, so other players' traces aren't muddied by them
+  function claimSource(mediaSource, source) {
+    for (const segment of recentSegments) {
+      if (segment.claimedBy) continue;
+      if (traceSegment(segment.url)?.url === source.url) {
+        segment.claimedBy = mediaSource;
+      }
+    }
+    return source;
+  }
+
+  function claimAppendedSegment(mediaSource, bufferState, data) {
+    const now = Date.now();
+    const since = Math.max(bufferState.lastAppend, now - TRACE_WINDOW_MS);
+    bufferState.lastAppend = now;
+
+    const buffer = data instanceof ArrayBuffer ? data : data?.buffer;
+    const exact = buffer && segmentByBuffer.get(buffer);
+    if (exact) {
+      const source = traceSegment(exact);
+      return source && claimSource(mediaSource, source);
+    }
+
+    // Fetched since this buffer's last append & not taken by another
+    // MediaSource. Audio & video segments of one player trace to the same
+    // manifest; any disagreement means another player is loading too.
+    const pending = recentSegments.filter(
+      (s) => s.time >= since && (!s.claimedBy || s.claimedBy === mediaSource)
+    );
+    const traced = pending.map((s) => traceSegment(s.url));
+    const sources = new Set(traced.map((t) => t && t.url));
+    if (sources.size !== 1 || !traced[0]) return null;
+
+    return claimSource(mediaSource, traced[0]);
+  }
+
+  function traceMediaSource(mediaSource, bufferState, data) {
+    const state = getMediaSourceState(mediaSource);
+    const video = claimAppendedSegment(mediaSource, bufferState, data);
+    if (state.reported || !video) return;
+    if (!/^video\//i.test(bufferState.mimeType)) return;
+
+    state.reported = true;
+    state.reportedUrl = video.url;
+    const element = findMediaSourceVideo(mediaSource, state.blobUrl);
+
+    dispatchVideo({
+      url: video.url,
+      source: "mse",
+      title:
+        element?.getAttribute("title") ||
+        element?.getAttribute("aria-label") ||
+        document.title,
+      playlist: video.playlist,
+      groupId: video.playlist ? video.url : null,
+      drm: state.drm,
+    });
+  }
+
+  if (window.MediaSource) {
+    const originalCreateObjectURL = URL.createObjectURL;
+    URL.createObjectURL = function (obj) {
+      const blobUrl = originalCreateObjectURL.apply(this, arguments);
+      try {
+        if (obj instanceof MediaSource) {
+          const state = getMediaSourceState(obj);
+          state.blobUrl = blobUrl;
+          mediaSourceByBlob.set(blobUrl, state);
+        }
+      } catch (e) {}
+      return blobUrl;
+    };
+
+    const originalAddSourceBuffer = MediaSource.prototype.addSourceBuffer;
+    MediaSource.prototype.addSourceBuffer = function (mimeType) {
+      const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+      try {
+        sourceBufferState.set(sourceBuffer, {
+          mediaSource: this,
+          mimeType: String(mimeType),
+          lastAppend: 0,
+        });
+      } catch (e) {}
+      return sourceBuffer;
+    };
+
+    const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+    SourceBuffer.prototype.appendBuffer = function () {
+      try {
+        const bufferState = sourceBufferState.get(this);
+        if (bufferState) {
+          traceMediaSource(bufferState.mediaSource, bufferState, arguments[0]);
+        }
+      } catch (e) {}
+      return originalAppendBuffer.apply(this, arguments);
+    };
+  }
+
+  // DRM detection
+  // requestMediaKeySystemAccess alone proves little (sites probe for Widevine
+  // up front), so a video only counts as protected once MediaKeys are attached
+  // to it or it fires "encrypted". The hook supplies the key system's name.
+  const KEY_SYSTEM_NAMES = [
+    [/widevine/i, "Widevine"],
+    [/playready/i, "PlayReady"],
+    [/fps|fairplay/i, "FairPlay"],
+    [/clearkey/i, "ClearKey"],
+  ];
+  const keySystemByMediaKeys = new WeakMap();
+  const protectedVideos = new WeakSet();
+  let lastKeySystem = null;
+
+  function describeKeySystem(keySystem) {
+    const match = KEY_SYSTEM_NAMES.find(([pattern]) =>
+      pattern.test(keySystem || "")
+    );
+    return match ? match[1] : "DRM";
+  }
+
+  function reportProtected(element, keySystem) {
+    if (!(element instanceof HTMLMediaElement)) return;
+    if (protectedVideos.has(element)) return;
+
+    const drm = describeKeySystem(keySystem || lastKeySystem);
+    const src = element.currentSrc || element.src;
+    const state =
+      mediaSourceByBlob.get(src) ||
+      (element.srcObject && mediaSourceState.get(element.srcObject));
+    let url = null;
+
+    if (state) {
+      // Not traced yet: traceMediaSource will carry it
+      state.drm = drm;
+      url = state.reportedUrl;
+    } else if (src && !src.startsWith("blob:")) {
+      url = src;
+    }
+    if (!url) return;
+
+    protectedVideos.add(element);
+    // Bypasses dispatchVideo, which only reports each URL once
+    try {
+      window.dispatchEvent(
+        new CustomEvent(SIDEBY_EVENT, { detail: { url, source: "mse", drm } })
+      );
+    } catch (e) {}
+  }
+
+  if (navigator.requestMediaKeySystemAccess) {
+    const originalRequestAccess = navigator.requestMediaKeySystemAccess;
+    navigator.requestMediaKeySystemAccess = function () {
+      const promise = originalRequestAccess.apply(this, arguments);
+      promise.then(
+        (access) => {
+          lastKeySystem = access.keySystem;
+        },
+        () => {}
+      );
+      return promise;
+    };
+  }
+
+  if (window.MediaKeySystemAccess) {
+    const originalCreateMediaKeys =
+      MediaKeySystemAccess.prototype.createMediaKeys;
+    MediaKeySystemAccess.prototype.createMediaKeys = function () {
+      const keySystem = this.keySystem;
+      return originalCreateMediaKeys.apply(this, arguments).then((keys) => {
+        keySystemByMediaKeys.set(keys, keySystem);
+        return keys;
+      });
+    };
+  }
+
+  if (HTMLMediaElement.prototype.setMediaKeys) {
+    const originalSetMediaKeys = HTMLMediaElement.prototype.setMediaKeys;
+    HTMLMediaElement.prototype.setMediaKeys = function (mediaKeys) {
+      try {
+        if (mediaKeys) {
+          reportProtected(this, keySystemByMediaKeys.get(mediaKeys));
+        }
+      } catch (e) {}
+      return originalSetMediaKeys.apply(this, arguments);
+    };
+  }
+
+  // "encrypted" doesn't bubble, so catch it on the way down
+  document.addEventListener(
+    "encrypted",
+    (event) => {
+      try {
+        reportProtected(
+          event.target,
+          keySystemByMediaKeys.get(event.target.mediaKeys)
+        );
+      } catch (e) {}
+    },
+    true
+  );
+
   console.log("Sideby Pass: Watcher initialized");
 })();